@@ -14,6 +14,9 @@
 //     --action=subscribe_events --mode=push --termination=PT300S \
 //     --push_url=http://172.20.1.103:9000/onvif_hook --debug --verbose
 //
+//   node onvif_control.1.1.9.js --ip=172.20.1.172 --port=8080 --user=admin --pass=*** \
+//     --action=subscribe_events --mode=pull --timeout=PT20S --message_limit=20 > events.ndjson
+//
 //   node onvif_control.1.1.9.js --action=renew_subscription \
 //     --subscription=http://172.20.1.191:8080/onvif/Subscription?Idx=2 \
 //     --user=admin --pass=*** --termination=PT300S --verbose
@@ -24,12 +27,22 @@
 
 'use strict';
 
-const crypto = require('crypto');
-const http = require('http');
-const https = require('https');
-const { URL } = require('url');
-const xml2js = require('xml2js');
-const { execSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { OnvifCamera, OnvifArgumentError, OnvifConnectionError, OnvifFaultError, validate } = require('./onvif_control_camera');
+
+// require('./onvif_control') from another program: the OnvifCamera API only, no CLI
+module.exports = require('./onvif_control_camera');
+if (require.main !== module) return;
+
+const { resolveConfigPath, loadInventory, findCamera, readSecret, netrcLookup, readClockOffset, writeClockOffset } = require('./onvif_control_config');
+const { startServer } = require('./onvif_control_server');
+const { VENDORS, listFeatures, isDestructivePreset } = require('./onvif_control_vendors');
+const { PresetTour } = require('./onvif_control_tour');
+const { PtzConsole } = require('./onvif_control_console');
+const { PtzBatch, parseBatch } = require('./onvif_control_batch');
 const args = require('minimist')(process.argv.slice(2), {
   alias: {
     v: 'verbose', d: 'debug', l: 'log', m: 'mute', h: 'help', t: 'time',
@@ -39,10 +52,88 @@ const args = require('minimist')(process.argv.slice(2), {
   // Keep strings for tokens & new event flags
   string: [
     'token','k','preset','e','presetname','n',
-    'push_url','termination','timeout','subscription','eventtype'
+    'push_url','termination','timeout','subscription','eventtype',
+    'camera','config','listen','out','configuration','protocol','profile','resolution','source',
+    'vendor','name','state','stops','preset_name','file','batch','on_error',
+    'pass','new_password','api_token'
   ]
 });
 
+// --output: text (legacy [RESPONSE] lines), json (one result object per action) or xml (raw SOAP response bodies)
+const OUTPUT = String(args.output || 'text').toLowerCase();
+
+// Exit codes (see README): bad usage/input, camera not reachable, one per SOAP Fault category, then local failures
+// (file I/O, unreadable JSON) and bugs
+const EXIT = { OK: 0, USAGE: 1, CONNECTION: 2, FAULT: 3, AUTH: 4, NOT_SUPPORTED: 5, REJECTED: 6, BUSY: 7, INTERNAL: 8 };
+const FAULT_EXIT = { device: EXIT.FAULT, auth: EXIT.AUTH, not_supported: EXIT.NOT_SUPPORTED, invalid_argument: EXIT.REJECTED, busy: EXIT.BUSY };
+
+// With --output=json the failure is also printed as { ok: false, action, error } on stdout
+function errorOut(msg, code = EXIT.USAGE, details) {
+  if (OUTPUT === 'json') {
+    console.log(JSON.stringify({ ok: false, action: args.action || null, error: Object.assign({ message: msg, exitCode: code }, details) }, null, 2));
+  }
+  if (!args.mute) console.error(`ERROR: ${msg}` + (code === EXIT.USAGE ? '\nUse --help to view usage.' : ''));
+  process.exit(code);
+}
+if (!['text', 'json', 'xml'].includes(OUTPUT)) errorOut(`--output must be text, json or xml (got ${args.output})`);
+
+// === Secrets: --pass / --pass_env=VAR / --pass_file=path (same for --new_password, --api_token) ===
+// Keeps passwords out of argv (ps output, shell history, syslog).
+try {
+  for (const name of ['pass', 'new_password', 'api_token']) {
+    const v = readSecret(name, args);
+    if (v !== undefined) args[name] = v;
+  }
+} catch (e) {
+  errorOut(e.message);
+}
+
+// === Camera inventory (--camera=<name> [--config=<file>]) ===
+// Inventory values only fill in what was not given on the command line (CLI flags always win).
+let CAMERA = null;
+if (args.camera) {
+  try {
+    const cfgPath = resolveConfigPath(args.config, __dirname);
+    if (!cfgPath) throw new Error('--camera needs an inventory file (--config=<file> or onvif_cameras.json, see --help)');
+    CAMERA = findCamera(loadInventory(cfgPath), String(args.camera));
+  } catch (e) {
+    errorOut(e.message);
+  }
+  const fill = (key, value, alias) => {
+    if (value === undefined || value === null || args[key] !== undefined) return;
+    args[key] = value;
+    if (alias) args[alias] = value;
+  };
+  fill('ip', CAMERA.host, 'i');
+  fill('port', CAMERA.port || '80');
+  fill('user', CAMERA.user, 'u');
+  try {
+    if (args.pass === undefined) fill('pass', readSecret('pass', CAMERA));
+  } catch (e) {
+    errorOut(`camera "${CAMERA.name}": ${e.message}`);
+  }
+  fill('token', CAMERA.token, 'k');
+  fill('auth', CAMERA.auth);
+  fill('vendor', CAMERA.vendor);
+  if (!('wakeup' in args) && !('wakeup_simple' in args)) {
+    if (CAMERA.wakeup === 'full') args.wakeup = true;
+    if (CAMERA.wakeup === 'simple') args.wakeup_simple = true;
+  }
+}
+const QUIRKS = (CAMERA && CAMERA.quirks) || {};
+
+// .netrc-style credentials (--netrc → ~/.netrc, --netrc_file=<path>): only fills a missing user/password
+if ((args.netrc || args.netrc_file) && args.ip && (args.pass === undefined || args.user === undefined)) {
+  const netrcFile = args.netrc_file || path.join(os.homedir(), '.netrc');
+  const cred = netrcLookup(netrcFile, String(args.ip), args.port);
+  if (cred) {
+    if (args.user === undefined && cred.login) { args.user = cred.login; args.u = cred.login; }
+    if (args.pass === undefined && cred.password) args.pass = cred.password;
+  } else if (args.verbose) {
+    console.error(`[WARN] no credentials for ${args.ip} in ${netrcFile}`);
+  }
+}
+
 const VERSION = '1.1.9';
 const BUILD_DATE = '2025-08-26';
 const PROFILE_TOKEN = args.token || 'MainStreamProfileToken';
@@ -50,15 +141,6 @@ const WAKEUP = 'wakeup' in args;
 const WAKEUP_SIMPLE = 'wakeup_simple' in args;
 
 const sleep = ms => new Promise(r => setTimeout(r, ms));
-// Sleep after wakeup call for SOAP requests
-const WAKEUP_SLEEP_MS = 1000;
-// Timeout in milliseconds for SOAP requests
-const SOCKET_TIMEOUT_MS = 5000;
-// Guard to avoid endless GotoPreset retries when camera has 0 presets
-let GOTO_PRESET_RETRIED = false;
-
-// Discovered service endpoints (filled by GetServices / GetCapabilities)
-const DISCOVERY = { media1: null, media2: null, ptz: null, events: null };
 
 function showHelp() {
   console.log(`
@@ -66,14 +148,26 @@ function showHelp() {
 
   Usage:
     node onvif_control.js --ip=IP --port=PORT --action=<action> [options]
+    node onvif_control.js --camera=NAME --action=<action> [options]
+    node onvif_control.js --camera=NAME --batch=<file|-> [--on_error=abort|continue]
 
   Core options:
     --ip, -i         Camera IP
     --port           Camera ONVIF port (e.g. 80 or 8080)
     --user, -u       Username (ONVIF user)
-    --pass           Password
+    --pass           Password (visible in ps/history – prefer one of the next three)
+    --pass_env       Name of an environment variable holding the password
+    --pass_file      File containing the password (trailing newline ignored)
+    --netrc          Read user/password from ~/.netrc ("machine <ip>[:<port>] login <u> password <p>")
+    --netrc_file     Same as --netrc with another file
     --token, -k      ProfileToken (e.g. from get_profiles)
+    --camera         Named camera from the inventory file (fills ip/port/user/pass/token/wakeup)
+    --config         Inventory file (JSON/YAML). Default: $ONVIF_CONTROL_CONFIG, ./onvif_cameras.json,
+                     <script dir>/onvif_cameras.json, ~/.config/onvif_control/cameras.json (.yaml/.yml too)
     --time, -t       Duration (s) for continuous move/zoom
+    --auth           wsse (default), digest, basic, both (wsse + digest) or auto (answer HTTP 401 challenges)
+    --clock_sync     Camera clock offset for WS-Security: auto (after NotAuthorized, default), first, off
+    --output         text (default: [RESPONSE] lines), json (one object per action on stdout) or xml (raw SOAP responses)
     --debug, -d      Print arguments + raw SOAP
     --verbose, -v    Verbose logs
     --help, -h       This help
@@ -82,29 +176,45 @@ function showHelp() {
   Actions (grouped & alphabetically sorted):
 
   [Discovery]
-    get_services                 Discover XAddr endpoints (Media v2/v1, PTZ, Events)
+    discover                     WS-Discovery probe: find ONVIF devices on the LAN (no --ip/--port needed)
+    get_services                 Discover XAddr endpoints (Media v2/v1, PTZ, Events, Imaging)
+    list_cameras                 List cameras from the inventory file (passwords masked)
 
   [PTZ]
     absolutemove                 Move to absolute PT coordinates
     configoptions                Get PTZ configuration options
     get_configurations           List PTZ configurations
     get_nodes                    List PTZ nodes
+    batch                        Run a step list on one camera session (--batch; implied by it)
+    export_presets               Save preset names and positions as JSON (--file)
     get_presets                  List PTZ presets (tokens & names)
-    goto                         Go to preset by token
+    goto                         Go to preset by token (--preset) or name (--preset_name)
     gotohomeposition             Go to PTZ Home position
+    import_presets               Recreate exported presets: AbsoluteMove + SetPreset (--file)
+    interactive                  Keyboard PTZ console: arrows/WASD, +/- zoom, 1…9 presets, live status
     move                         Continuous pan/tilt for --time seconds
     relativemove                 Relative PT step
-    removepreset                 Delete PTZ preset by token
+    removepreset                 Delete PTZ preset by token (--preset) or name (--preset_name)
     setpreset                    Create a PTZ preset (returns token)
     status                       Get PTZ status
     stop                         Stop PT and/or zoom
+    tour                         Client-side preset tour: --stops=<preset[:dwell s],…> (--loop, --shuffle, --pause_on_motion)
     zoom                         Continuous zoom for --time seconds
 
+  [Vendor special presets]
+    feature                      Named vendor feature sent as its special preset sequence
+                                 (--name=tracking --state=on, --name=alarm_lights --state=toggle, …)
+    list_features                Vendor table: features, states, preset codes (--vendor: one vendor)
+
   [Media]
-    get_profiles                 List media profiles (prefers Media v2)
+    get_profiles                 List media profiles (prefers Media v2); --summary: token, name, codec,
+                                 resolution, PTZ binding and stream URI per profile
     get_snapshot_uri             Get JPEG snapshot URL
-    get_stream_uri               Get RTSP stream URL
-    get_video_encoder_configuration  Read current video encoder settings
+    snapshot                     Download the JPEG to --out (bursts: --count, --interval)
+    get_stream_uri               Get RTSP stream URL (--protocol)
+    get_video_encoder_configuration  Read current video encoder settings (profile's, or --configuration)
+    get_video_encoder_configurations  List all video encoder configurations (--token: one profile)
+    get_video_encoder_configuration_options  Resolutions, frame rates, GOP, quality, profiles the encoder accepts
     set_video_encoder_configuration  Change video encoder settings
 
   [Device / Network]
@@ -130,6 +240,14 @@ function showHelp() {
     setdatetime                  Set local time/timezone to current host time
     sethostname                  Set device hostname
 
+  [Imaging]
+    get_imaging_settings         Brightness, contrast, IR cut filter, WDR, exposure … of the video source
+    get_imaging_options          Ranges and modes the video source accepts
+    set_imaging_settings         Change only the given settings (--ircut=day|night|auto, --brightness, …)
+    focus_move                   Focus: --speed (continuous for --time s), --position (absolute) or --distance (relative)
+    focus_stop                   Stop a focus move
+    focus_status                 Focus position and move status
+
   [Events / Detection]
     get_event_properties         Get ONVIF event capabilities
     get_motion_detection         Read motion detection settings
@@ -139,6 +257,9 @@ function showHelp() {
     subscribe_events_device      Legacy subscribe via Device service (fallback)
     unsubscribe                  Cancel an existing subscription (by Subscription Manager URL)
 
+  [Daemon]
+    serve                        Stay resident: HTTP/JSON API for all inventory cameras (--listen, --api_token)
+
   Aliases (kept for backward compatibility):
     configurations      → get_configurations
     home                → gotohomeposition
@@ -146,12 +267,110 @@ function showHelp() {
     presets             → get_presets
     get_static_ip       → get_network_interfaces
 
+  Options specific to serve (HTTP/JSON API, see README):
+    --listen <host:port>         Address to listen on (default: 127.0.0.1:8787)
+    --api_token <token>          Require "Authorization: Bearer <token>" (also --api_token_env / --api_token_file)
+    --wakeup_idle <s>            Repeat the camera's wakeup after this many seconds without PTZ (default: 300)
+
+  Options specific to Media:
+    --protocol <p>               get_stream_uri / get_profiles --summary: RtspUnicast (default), RtspMulticast,
+                                 RTSP, RtspOverHttp or RTSPS (RTSPS needs Media2)
+    --configuration <token>      Video encoder configuration token (default: the profile's)
+
+  Options specific to set_video_encoder_configuration (only the given ones change, checked against the options):
+    --resolution <WxH>  --bitrate <kbps>  --fps <n>  --gop <n>  --quality <n>
+    --codec <JPEG|MPEG4|H264|H265>  --profile <Baseline|Main|High|…>
+    --dry-run                    Read and validate, print the diff, send nothing
+
+  Options specific to move, zoom, goto, absolutemove, relativemove:
+    --speed <0…1>                goto, absolutemove, relativemove: PTZ speed (default: the camera's)
+    --units <generic|degrees>    absolutemove, relativemove: pan/tilt as -1…1 (default) or degrees; degrees need a
+                                 degree space on the camera (GetNodes) or quirks pan_degrees / tilt_degrees
+    --clamp <true|false>         Values outside the generic ranges are set to the camera's advertised limits (GetNodes /
+                                 GetConfigurationOptions) with a warning (default: true); false rejects them
+
+  Options specific to goto, absolutemove, relativemove, gotohomeposition:
+    --wait                       Poll GetStatus until the move finished (IDLE / position stable), print the final
+                                 position as JSON { pan, tilt, zoom, moveStatus, waitedMs }
+    --wait_timeout <s>           Give up after this many seconds (default: 30; exit code 2)
+    --wait_tolerance <n>         Position counts as stable within this delta (default: 0.001)
+
+  Options specific to goto, removepreset:
+    --preset_name <name>         Preset name instead of --preset; case, spaces and punctuation do not matter,
+                                 a unique prefix or a small typo is accepted (ambiguous → error with candidates)
+
+  Options specific to export_presets, import_presets:
+    --file <path>                JSON file (export: default stdout; import: required, - for stdin)
+    --overwrite                  import: store over presets with the same name (default: skip them)
+    --wait_timeout <s>           import: max. time to reach each position (default: 30)
+    --dry-run                    import: print what would be created, send nothing
+
+  Options specific to batch (steps separated by ";" or newlines, # comments, "quotes" for names with spaces):
+    --batch <file>               Step list, - for stdin, e.g. "goto Driveway; wait idle; snapshot /tmp/a.jpg;
+                                 relativemove 0.1 0; sleep 2; home"
+                                 Steps: goto <preset> [speed=] [confirm=], home, wait [idle] [<timeout s>], sleep <s>,
+                                 move <pan> <tilt> <s>, zoom <z> <s>, stop, absolutemove|relativemove <pan> <tilt>
+                                 [<zoom>] [speed=] [units=], status, presets, setpreset <name>,
+                                 removepreset <preset>, snapshot <file>, feature <name> [<state>] [value=] [confirm=]
+    --on_error <abort|continue>  After a failed step: stop the batch (default) or go on; on_error= on a step
+                                 overrides it for that step
+    --dry-run                    Print the parsed steps, contact nothing
+                                 Output: one JSON line per step and a summary line; exit code of the failed
+                                 step that aborted the batch
+
+  Options specific to interactive (keys: arrows/WASD move, +/- zoom, space stop, 1…9 presets, 0 home,
+  S store preset, [ ] speed, p presets, h help, q quit):
+    --speed <0…1>                Pan/tilt/zoom speed of the keys (default: 0.5)
+    --time <s>                   A move lasts this long after the last key repeat (default: 0.6)
+    --interval <s>               GetStatus poll for the status line (default: 1; 0 = off)
+
+  Options specific to tour (GotoPreset, wait until arrived, dwell; Ctrl-C stops the camera and ends the tour):
+    --stops <list>               Preset tokens or names, comma separated; ":<s>" sets the dwell of one stop
+                                 (e.g. --stops="Door:10,Garden Gate,3:5")
+    --dwell <s>                  Dwell time of stops without their own (default: 10)
+    --speed <0…1>                Preset move speed (default: the camera's)
+    --loop [n]                   Repeat the tour n times, or until Ctrl-C without a number (default: once)
+    --shuffle                    Random order in every round
+    --wait_timeout <s>           Max. time to arrive at a stop (default: 30; the tour goes on with a warning)
+    --pause_on_motion            Pull motion events; hold the current stop while motion goes on
+    --motion_hold <s>            Seconds without motion before the tour continues (default: 30)
+
+  Options specific to Imaging (video source of the profile unless --source is given):
+    --source <token>             VideoSourceToken
+    --ircut <day|night|auto>     IR cut filter: day = ON (filter in, colour), night = OFF (IR, b/w), auto = AUTO
+    --brightness, --contrast, --saturation, --sharpness <n>
+    --backlight <on|off>  --backlight_level <n>  --wdr <on|off>  --wdr_level <n>
+    --exposure <auto|manual>  --exposure_time <µs>  --gain <n>  --iris <n>
+    --dry-run                    set_imaging_settings: read and validate, print the diff, send nothing
+
+  Options specific to feature (see README_special_presets.md):
+    --name <feature>             tracking, alarm_lights, cruise, guard, ir, ptz_reset, … (list_features)
+    --state <state>              on, off, toggle, set, run, … (optional when the feature has one state)
+    --value <n>                  Number for sequences with X (generic guard_preset, esunstar tracking_speed)
+    --vendor <key>               ctronics, sv3c, sunba, hisilicon, esunstar, generic
+                                 (default: detected from GetDeviceInformation; also checked by goto)
+    --confirm                    Required for destructive features and presets (ptz_reset / 115)
+    --dry-run                    Resolve the preset sequence and print it, send nothing
+
+  Options specific to snapshot:
+    --out <template>             File name; %Y %m %d %H %M %S %L (ms) %n (image number) %c (camera)
+                                 (default: snapshot_%c_%Y%m%d_%H%M%S.jpg; directories are created)
+    --count <n>                  Number of images (default: 1; adds _%n when the template has no %n/%L)
+    --interval <s>               Seconds between images (default: 1)
+
+  Options specific to discover:
+    --discover_timeout <s>       Seconds to collect ProbeMatches (1…600, default: 3)
+    --interface <ip>             Local IPv4 address to send the multicast probe from
+    --ip <ip>                    Probe this address directly (unicast) instead of multicast
+    --output <text|json>         Table (default) or JSON
+
   Options specific to Events:
     --mode <push|pull>           Delivery mode (default: push)
     --push_url <url>             Push: consumer URL (e.g. http://host:9000/onvif_hook)
     --termination <dur>          Requested TTL (ISO8601 duration, default: PT60S)
-    --timeout <dur>              Pull: timeout per PullMessages (default: PT30S) [reserved]
-    --message_limit <int>        Pull: max messages per pull (default: 10) [reserved]
+    --timeout <dur>              Pull: timeout per PullMessages (default: PT30S)
+    --message_limit <int>        Pull: max messages per pull (default: 10)
+    --create_only                Pull: only create the pull point and print its address (no PullMessages loop)
     --subscription <url>         Subscription Manager URL (for renew_subscription / unsubscribe)
     --auto_renew                 Keep renewing automatically (subscribe_events only)
     --auto_unsubscribe_on_exit   On SIGINT/SIGTERM, auto-unsubscribe (when auto_renew is active)
@@ -169,19 +388,21 @@ function showHelp() {
     --hostname                    New hostname (sethostname)
     --log, -l                     Send log lines to system logger
     --netmask                     Netmask (set_network_interfaces)
-    --new_password                Password for new user (add_user)
+    --new_password                Password for new user (add_user / reset_password)
+    --new_password_env            … from an environment variable instead
+    --new_password_file           … from a file instead
     --new_userlevel               Access level (Administrator, User, Operator)
     --new_username                Username to create (add_user)
     --ntp_server                  NTP server IP/host (set_ntp)
-    --pan, -p                     Pan value
+    --pan, -p                     Pan value (-1…1)
     --preset=<NAME>, -e           Preset name (setpreset) or for legacy alias
     --presetname=<NAME>, -n       Preset name (setpreset)
     --resolution                  WidthxHeight (set_video_encoder_configuration)
-    --tilt, -y                    Tilt value
+    --tilt, -y                    Tilt value (-1…1)
     --username                    Target username (reset_password)
     --wakeup                      Send GetNodes→GetConfigurations→GetPresets before PTZ
     --wakeup_simple               Send GetPresets before PTZ
-    --zoom, -z                    Zoom value
+    --zoom, -z                    Zoom value (-1…1, absolutemove 0…1)
 
   `);
   process.exit(0);
@@ -193,33 +414,61 @@ if (args.version) {
   process.exit(0);
 }
 
-function errorOut(msg, code = 1) {
-  if (!args.mute) console.error(`ERROR: ${msg}\nUse --help to view usage.`);
-  process.exit(code);
+// --batch=<file> alone is enough: it implies --action=batch
+if (!args.action && args.batch !== undefined) args.action = 'batch';
+if (!args.action) errorOut('Missing required parameter: --action');
+// list_cameras only reads the inventory, list_features the vendor table, discover probes the LAN and serve takes
+// its cameras from the inventory; everything else needs a camera (flags or --camera)
+if (!['list_cameras', 'list_features', 'discover', 'serve'].includes(String(args.action).toLowerCase())) {
+  ['ip', 'port'].forEach(param => {
+    if (!args[param]) errorOut(`Missing required parameter: --${param} (or --camera=<name> with an inventory entry)`);
+  });
 }
-['ip', 'port', 'action'].forEach(param => {
-  if (!args[param]) errorOut(`Missing required parameter: --${param}`);
-});
+
+// Args whose values never reach a console or syslog line
+const SECRET_ARGS = ['pass', 'new_password', 'api_token'];
 
 function mask(obj) {
   const clone = { ...obj };
-  if (clone.pass) clone.pass = '***';
+  SECRET_ARGS.forEach(k => { if (clone[k] !== undefined) clone[k] = '***'; });
   return clone;
 }
 
+// Same for raw argv: "--pass=x" → "--pass=***", "--pass x" → "--pass ***"
+function redactArgv(argv) {
+  const out = [];
+  for (let i = 0; i < argv.length; i++) {
+    const m = /^(--?)([^=]+)(=.*)?$/.exec(argv[i]);
+    if (m && SECRET_ARGS.includes(m[2])) {
+      if (m[3] !== undefined) {
+        out.push(`${m[1]}${m[2]}=***`);
+      } else {
+        out.push(argv[i]);
+        if (i + 1 < argv.length && !argv[i + 1].startsWith('-')) { out.push('***'); i++; }
+      }
+      continue;
+    }
+    out.push(argv[i]);
+  }
+  return out;
+}
+
 const duration = args.time ? parseFloat(String(args.time).replace(',', '.')) * 1000 : 1000;
 if (args.time && (isNaN(duration) || duration <= 0)) errorOut('--time must be a positive number');
 
 function logMessage(msg) {
   if (args.log) {
-    try { execSync(`logger -t onvif "${msg.replace(/"/g, '\\"')}"`); } catch {}
+    // no shell: argv values must not be interpreted ($(), backticks)
+    try { execFileSync('logger', ['-t', 'onvif', msg]); } catch {}
   }
 }
 
-logMessage(`Called script onvif_control.js with ${process.argv.slice(2).join(' ')}`);
-if (args.verbose) console.log('[INFO] Called with:', mask(args));
-if (args.debug) console.log(JSON.stringify(mask(args), null, 2));
-if (args['dry-run']) process.exit(0);
+logMessage(`Called script onvif_control.js with ${redactArgv(process.argv.slice(2)).join(' ')}`);
+if (args.verbose) console.error('[INFO] Called with:', mask(args));
+if (args.debug) console.error(JSON.stringify(mask(args), null, 2));
+// --dry-run stops here, except for actions that read the camera to show what they would change
+const DRY_RUN_READS = ['set_video_encoder_configuration', 'set_imaging_settings', 'feature', 'import_presets', 'batch'];
+if (args['dry-run'] && !DRY_RUN_READS.includes(String(args.action || '').toLowerCase())) process.exit(0);
 
 // Arg shorthands
 const hostname = args.hostname;
@@ -245,7 +494,7 @@ const mode = (args.mode || 'push').toLowerCase();
 const pushUrl = args.push_url || args.pushurl;
 const termination = args.termination || 'PT60S';
 const timeout = args.timeout || 'PT30S';
-const msgLimit = args.message_limit ? parseInt(args.message_limit, 10) : 10;
+const msgLimit = args.message_limit !== undefined ? args.message_limit : 10;
 const autoRenew = !!args.auto_renew;
 const subscriptionUrlArg = args.subscription;
 
@@ -254,777 +503,602 @@ const newPass = args.new_password;
 const newLevel = args.new_userlevel;
 const delUser = args.del_username;
 
-// === Helper: Build WS-Security Header ===
-function buildWSSecurity(username, password) {
-  const nonce = crypto.randomBytes(16);
-  const created = new Date().toISOString();
-  const digest = crypto.createHash('sha1')
-    .update(Buffer.concat([nonce, Buffer.from(created), Buffer.from(password || '')]))
-    .digest('base64');
-  return {
-    Username: username || '',
-    PasswordDigest: digest,
-    Nonce: nonce.toString('base64'),
-    Created: created
-  };
+// === Camera (onvif_control_camera.js) ===
+// --verbose: library progress lines ('debug'); warnings and errors are always shown
+function cliLog(level, msg) {
+  if (level === 'debug' && !args.verbose) return;
+  console.error(msg);
 }
 
-function wsseHeaderXml() {
-  if (!(args.user && args.pass)) return '';
-  const ws = buildWSSecurity(args.user, args.pass);
-  var s = '';
-  s += '<s:Header>';
-  s += '<wsse:Security s:mustUnderstand="1"';
-  s += ' xmlns:wsse="http://docs.oasis-open.org/wss/2004/01/oasis-200401-wss-wssecurity-secext-1.0.xsd"';
-  s += ' xmlns:wsu="http://docs.oasis-open.org/wss/2004/01/oasis-200401-wss-wssecurity-utility-1.0.xsd">';
-  s += '<wsse:UsernameToken>';
-  s += '<wsse:Username>' + args.user + '</wsse:Username>';
-  s += '<wsse:Password Type="http://docs.oasis-open.org/wss/2004/01/oasis-200401-wss-username-token-profile-1.0#PasswordDigest">' + ws.PasswordDigest + '</wsse:Password>';
-  s += '<wsse:Nonce EncodingType="http://docs.oasis-open.org/wss/2004/01/oasis-200401-wss-soap-message-security-1.0#Base64Binary">' + ws.Nonce + '</wsse:Nonce>';
-  s += '<wsu:Created>' + ws.Created + '</wsu:Created>';
-  s += '</wsse:UsernameToken>';
-  s += '</wsse:Security>';
-  s += '</s:Header>';
-  return s;
-}
+// --clock_sync: auto (after a NotAuthorized fault), first (before the first call) or off; offsets are cached per camera
+const CLOCK_SYNC = String(args.clock_sync || 'auto').toLowerCase();
+if (!['auto', 'first', 'off'].includes(CLOCK_SYNC)) errorOut(`--clock_sync must be auto, first or off (got ${args.clock_sync})`);
 
-// === Service selection & discovery ===
-const BASE_URL = `http://${ip}${args.port ? ':' + args.port : ''}`;
-
-function serviceDefaultPath(svc) {
-  switch (svc) {
-    case 'DEVICE': return `${BASE_URL}/onvif/device_service`;
-    case 'MEDIA1':
-    case 'MEDIA2':
-    case 'MEDIA':  return `${BASE_URL}/onvif/media_service`;
-    case 'PTZ':    return `${BASE_URL}/onvif/ptz_service`;
-    case 'EVENTS': return `${BASE_URL}/onvif/event_service`;
-    default:       return `${BASE_URL}/onvif/ptz_service`;
-  }
-}
+// --auth: wsse (default), digest, basic, both or auto (HTTP Digest/Basic when the camera answers 401)
+const AUTH = String(args.auth || 'wsse').toLowerCase();
+if (!['wsse', 'digest', 'basic', 'both', 'auto'].includes(AUTH)) errorOut(`--auth must be wsse, digest, basic, both or auto (got ${args.auth})`);
 
-function nsForService(svc, isV2 = false) {
-  switch (svc) {
-    case 'DEVICE': return 'http://www.onvif.org/ver10/device/wsdl';
-    case 'MEDIA2': return 'http://www.onvif.org/ver20/media/wsdl';
-    case 'MEDIA':
-    case 'MEDIA1': return isV2 ? 'http://www.onvif.org/ver20/media/wsdl' : 'http://www.onvif.org/ver10/media/wsdl';
-    case 'PTZ':    return 'http://www.onvif.org/ver20/ptz/wsdl';
-    case 'EVENTS': return 'http://www.onvif.org/ver10/events/wsdl';
-    default:       return 'http://www.onvif.org/ver20/ptz/wsdl';
-  }
-}
+// --vendor: special preset table (feature, goto safety check); detected from GetDeviceInformation when not given
+const VENDOR = args.vendor ? String(args.vendor).toLowerCase() : undefined;
+if (VENDOR && !VENDORS[VENDOR]) errorOut(`--vendor must be one of ${Object.keys(VENDORS).join(', ')} (got ${args.vendor})`);
 
-function pickUrlForService(svc) {
-  if (svc === 'MEDIA2' && DISCOVERY.media2) return DISCOVERY.media2;
-  if (svc === 'MEDIA1' && DISCOVERY.media1) return DISCOVERY.media1;
-  if (svc === 'MEDIA')  return DISCOVERY.media2 || DISCOVERY.media1 || serviceDefaultPath('MEDIA');
-  if (svc === 'PTZ' && DISCOVERY.ptz) return DISCOVERY.ptz;
-  if (svc === 'EVENTS' && DISCOVERY.events) return DISCOVERY.events;
-  if (svc === 'DEVICE') return serviceDefaultPath('DEVICE');
-  return serviceDefaultPath(svc);
-}
+// --clamp=false: pan/tilt/zoom/speed outside the generic ranges are rejected instead of clamped
+if (args.clamp !== undefined && !/^(true|false|1|0|yes|no)$/i.test(String(args.clamp))) errorOut(`--clamp must be true or false (got ${args.clamp})`);
+const CLAMP = args.clamp === undefined || /^(true|1|yes)$/i.test(String(args.clamp));
 
-function parseUrl(u) {
-  try { return new URL(u); } catch { return new URL(serviceDefaultPath('PTZ')); }
-}
+// Actions that send requests for as long as they run keep the HTTP connection open
+const KEEP_ALIVE = ['interactive', 'batch'].includes(String(args.action || '').toLowerCase());
 
-async function discoverServices() {
-  // If already discovered, skip
-  if (DISCOVERY.media1 || DISCOVERY.media2 || DISCOVERY.ptz || DISCOVERY.events) return DISCOVERY;
-
-  // Prefer Device:GetCapabilities to also fetch Events XAddr
-  const url = serviceDefaultPath('DEVICE');
-  const envelope = `
-<s:Envelope xmlns:s="http://www.w3.org/2003/05/soap-envelope" xmlns:tds="http://www.onvif.org/ver10/device/wsdl">
-  ${wsseHeaderXml()}
-  <s:Body>
-    <tds:GetCapabilities>
-      <tds:Category>All</tds:Category>
-    </tds:GetCapabilities>
-  </s:Body>
-</s:Envelope>`.trim();
-
-  const xml = await rawSoap(url, nsForService('DEVICE') + '/GetCapabilities', envelope);
-  // Media & PTZ
-  {
-    const blocks = xml.match(/<tds:Capabilities>[\s\S]*?<\/tds:Capabilities>/g) || [];
-    for (const b of blocks) {
-      const mediaX = ((b.match(/<tt:Media>[\s\S]*?<tt:XAddr>(.*?)<\/tt:XAddr>/) || [])[1] || '').trim();
-      const ptzX   = ((b.match(/<tt:PTZ>[\s\S]*?<tt:XAddr>(.*?)<\/tt:XAddr>/) || [])[1] || '').trim();
-      const eventsX= ((b.match(/<tt:Events>[\s\S]*?<tt:XAddr>(.*?)<\/tt:XAddr>/) || [])[1] || '').trim();
-      if (mediaX) DISCOVERY.media1 = mediaX;
-      if (ptzX) DISCOVERY.ptz = ptzX;
-      if (eventsX) DISCOVERY.events = eventsX;
-    }
-  }
+const CAM = ip ? new OnvifCamera({
+  host: ip, port: args.port, user: args.user, pass: args.pass, token: PROFILE_TOKEN, quirks: QUIRKS, auth: AUTH, vendor: VENDOR,
+  keepAlive: KEEP_ALIVE,
+  wakeup: WAKEUP ? 'full' : (WAKEUP_SIMPLE ? 'simple' : 'none'),
+  clockSync: CLOCK_SYNC,
+  timeOffsetMs: CLOCK_SYNC === 'off' ? 0 : readClockOffset(ip, args.port),
+  log: cliLog
+}) : null;
 
-  // Fallback: Device:GetServices (older code-path)
-  if (!DISCOVERY.media1 || !DISCOVERY.ptz) {
-    const env2 = `
-<s:Envelope xmlns:s="http://www.w3.org/2003/05/soap-envelope" xmlns:tds="http://www.onvif.org/ver10/device/wsdl">
-  ${wsseHeaderXml()}
-  <s:Body>
-    <tds:GetServices>
-      <tds:IncludeCapability>true</tds:IncludeCapability>
-    </tds:GetServices>
-  </s:Body>
-</s:Envelope>`.trim();
-    const xml2 = await rawSoap(url, nsForService('DEVICE') + '/GetServices', env2);
-    const blocks = xml2.match(/<tds:Service>[\s\S]*?<\/tds:Service>/g) || [];
-    for (const b of blocks) {
-      const ns = ((b.match(/<tds:Namespace>(.*?)<\/tds:Namespace>/) || [])[1] || '').trim();
-      const xa = ((b.match(/<tds:XAddr>(.*?)<\/tds:XAddr>/) || [])[1] || '').trim();
-      if (!ns || !xa) continue;
-      if (ns.includes('/ver20/media/wsdl')) DISCOVERY.media2 = xa;
-      if (ns.includes('/ver10/media/wsdl')) DISCOVERY.media1 = xa;
-      if (ns.includes('/ver20/ptz/wsdl'))   DISCOVERY.ptz    = xa;
-      if (ns.includes('/ver10/events/wsdl')) DISCOVERY.events = xa;
+if (CAM && CLOCK_SYNC !== 'off') {
+  CAM.on('clockOffset', ms => {
+    try {
+      writeClockOffset(ip, args.port, ms);
+    } catch (e) {
+      if (args.verbose) console.error(`[WARN] clock offset not cached: ${e.message}`);
     }
-  }
-
-  if (args.verbose) console.error('[DISCOVERY]', DISCOVERY);
-  return DISCOVERY;
+  });
 }
 
-// low-level SOAP POST (returns raw XML) with action header
-function rawSoap(urlStr, actionHeader, envelope) {
-  return new Promise((resolve, reject) => {
-    const u = parseUrl(urlStr);
-    const isHttps = u.protocol === 'https:';
-    const mod = isHttps ? https : http;
-
-    const opts = {
-      protocol: u.protocol,
-      hostname: u.hostname,
-      port: u.port || (isHttps ? 443 : 80),
-      method: 'POST',
-      path: u.pathname + (u.search || ''),
-      timeout: SOCKET_TIMEOUT_MS,
-      headers: {
-        'Content-Type': `application/soap+xml; charset=utf-8; action="${actionHeader}"`,
-        'Content-Length': Buffer.byteLength(envelope)
-      },
-      rejectUnauthorized: false
-    };
-
-    const req = mod.request(opts, res => {
-      let data = '';
-      res.on('data', chunk => data += chunk);
-      res.on('end', () => resolve(data));
-    });
+// Raw SOAP with --verbose/--debug (subscription traffic with --debug only), otherwise the parsed response element
+// (text mode; actions that print their own table turn echoResponses off)
+let echoResponses = true;
+
+// --wait: after the move was acknowledged, poll GetStatus until it finished (--wait_timeout s, --wait_tolerance)
+// and return the final position; the options are checked before the move is sent
+async function withWait(send) {
+  if (!args.wait) return send();
+  const opts = {
+    timeoutMs: args.wait_timeout !== undefined ? validate.inRange(args.wait_timeout, '--wait_timeout', 0, 3600) * 1000 : undefined,
+    tolerance: args.wait_tolerance !== undefined ? validate.inRange(args.wait_tolerance, '--wait_tolerance', 0, 1) : undefined
+  };
+  await send();
+  echoResponses = false;
+  const st = await CAM.waitForIdle(opts);
+  const position = { pan: st.pan, tilt: st.tilt, zoom: st.zoom, moveStatus: st.moveStatus, waitedMs: st.waitedMs };
+  if (OUTPUT === 'text') console.log(JSON.stringify(position, null, 2));
+  return position;
+}
 
-    req.on('timeout', () => { req.destroy(); reject(new Error(`Timeout calling ${u.href}`)); });
-    req.on('error', err => reject(err));
+// Lookups an action needs before its real call (profile, preset list) are not echoed
+async function quietly(lookup) {
+  const echo = echoResponses;
+  echoResponses = false;
+  try { return await lookup(); } finally { echoResponses = echo; }
+}
 
-    req.write(envelope);
-    req.end();
-  });
+// --speed (0…1), --units (generic | degrees), --clamp for a move of vector (kind: see vectorXml); the PTZ spaces
+// lookup is done first, without echo, when degrees or a value outside the generic range need it
+async function moveOpts(vector = {}, kind = 'velocity') {
+  const opts = { speed: args.speed, units: args.units || 'generic', clamp: CLAMP };
+  const speed = opts.speed === undefined ? {} : { pan: opts.speed, tilt: opts.speed, zoom: opts.speed };
+  if (CAM.needsPtzSpaces(vector, kind, opts) || CAM.needsPtzSpaces(speed, 'speed', { clamp: opts.clamp })) {
+    await quietly(() => CAM.getPtzSpaces());
+  }
+  return opts;
 }
 
-// For some ONVIF endpoints (SubscriptionManager), the action header is not required.
-// Provide a simpler POST that omits it, for maximum compatibility.
-function httpPostXml(targetUrl, xml, opts = {}) {
-  return new Promise((resolve, reject) => {
-    const u = new URL(targetUrl);
-    const isHttps = u.protocol === 'https:';
-    const lib = isHttps ? https : http;
-    const req = lib.request({
-      hostname: u.hostname,
-      port: u.port || (isHttps ? 443 : 80),
-      path: u.pathname + (u.search || ''),
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/soap+xml; charset=utf-8',
-        'Content-Length': Buffer.byteLength(xml, 'utf8')
-      },
-      timeout: opts.timeoutMs || 15000,
-      rejectUnauthorized: false
-    }, (res) => {
-      const chunks = [];
-      res.on('data', (d) => chunks.push(d));
-      res.on('end', () => {
-        const body = Buffer.concat(chunks).toString('utf8');
-        resolve({ statusCode: res.statusCode, headers: res.headers, body });
-      });
-    });
-    req.on('error', reject);
-    req.write(xml);
-    req.end();
-  });
+// --source or the video source of the selected profile
+function imagingSource() {
+  return quietly(() => CAM.videoSourceToken(args.source));
 }
 
-// === SOAP send wrapper (keeps original style) ===
-// svc: 'PTZ' (default) | 'DEVICE' | 'MEDIA' | 'MEDIA1' | 'MEDIA2' | 'EVENTS'
-function sendSoap(action, body, cb, svc = 'PTZ') {
-  const wsse = wsseHeaderXml();
-  let actionNs = nsForService(svc, svc === 'MEDIA' || svc === 'MEDIA2');
-  const doSend = async () => {
-    await discoverServices(); // ensure endpoints
-
-    let serviceVariant = svc;
-    if (svc === 'MEDIA') {
-      serviceVariant = (DISCOVERY.media2 ? 'MEDIA2' : 'MEDIA1');
+// --preset=<token>, or --preset_name=<name> looked up in GetPresets (case-insensitive, tolerates typos)
+async function presetArg(action) {
+  if (args.preset_name === undefined) {
+    if (!args.preset) errorOut(`--preset or --preset_name is required for ${action}`);
+    return String(args.preset);
+  }
+  if (args.preset) errorOut('--preset and --preset_name exclude each other');
+  const p = await quietly(() => CAM.findPresetByName(args.preset_name));
+  if (p.name !== args.preset_name || args.verbose) console.error(`[INFO] preset "${args.preset_name}" → ${p.name} (${p.token})`);
+  return p.token;
+}
+if (CAM) {
+  const raw = service => (service === 'SUBSCRIPTION' ? args.debug : (args.verbose || args.debug));
+  CAM.on('request', ({ service, action, url, body }) => {
+    if (!raw(service)) return;
+    console.error(`\n[ENDPOINT] ${service} → ${url}`);
+    console.error(`REQUEST for ${action}:\n${body}\n`);
+  });
+  CAM.on('response', ({ service, action, xml, name, data }) => {
+    if (raw(service)) {
+      console.error(`RESPONSE for ${action}:\n${xml}\n`);
+      if (args.log) logMessage(`SOAP response for ${action}: ${xml}`);
     }
-    const url = pickUrlForService(serviceVariant);
-    actionNs = nsForService(serviceVariant, serviceVariant === 'MEDIA2');
-    const envelope = `<s:Envelope xmlns:s="http://www.w3.org/2003/05/soap-envelope">
-  ${wsse}
-  <s:Body>${body}</s:Body>
-</s:Envelope>`;
-
-    if (args.verbose || args.debug) {
-      console.error(`\n[ENDPOINT] ${svc} → ${url}`);
-      console.error(`REQUEST for ${action}:\n${body}\n`);
+    if (OUTPUT === 'xml') {
+      console.log(xml);
+    } else if (OUTPUT === 'text' && echoResponses && name && !args.verbose && !args.debug) {
+      console.log('[RESPONSE]', name);
+      for (const k in data) {
+        const val = data[k];
+        console.log(`  ${k}:`, typeof val === 'string' ? val : JSON.stringify(val));
+      }
     }
-
-    rawSoap(url, `${actionNs}/${action}`, envelope)
-      .then(xml => {
-        if (args.verbose || args.debug) {
-          console.error(`RESPONSE for ${action}:\n${xml}\n`);
-          if (args.log) logMessage(`SOAP response for ${action}: ${xml}`);
-        } else {
-          xml2js.parseString(xml, { explicitArray:false, tagNameProcessors:[xml2js.processors.stripPrefix], attrNameProcessors:[xml2js.processors.stripPrefix] }, (err, result) => {
-            if (err) {
-              console.error('[ERROR] Failed to parse XML:', err.message);
-            } else {
-              try {
-                const body = (result.Envelope && result.Envelope.Body) || result.Body || result;
-                const actionKey = Object.keys(body)[0];
-                const payload = body[actionKey];
-                console.log('[RESPONSE]', actionKey);
-                for (const k in payload) {
-                  const val = payload[k];
-                  console.log(`  ${k}:`, typeof val === 'string' ? val : JSON.stringify(val));
-                }
-              } catch (e) {
-                console.error('[ERROR] Response structure unexpected:', e.message);
-              }
-            }
-          });
-        }
-
-        // Auto-retry flow for missing preset tokens
-        if (/NoToken|preset token does not exist/i.test(xml)) {
-          if (String(action).toLowerCase().includes('gotopreset')) {
-            if (GOTO_PRESET_RETRIED) { console.error('[AUTO] Preset token still invalid. No presets found or not supported. Aborting retry.'); cb && cb(); return; }
-            GOTO_PRESET_RETRIED = true;
-            console.log('[AUTO] Preset token not found → requesting GetPresets list…');
-            const bodyPresets = `<tptz:GetPresets xmlns:tptz="http://www.onvif.org/ver20/ptz/wsdl"><ProfileToken>${PROFILE_TOKEN}</ProfileToken></tptz:GetPresets>`;
-            return rawSoap(pickUrlForService('PTZ'), `${nsForService('PTZ')}/GetPresets`, `<s:Envelope xmlns:s="http://www.w3.org/2003/05/soap-envelope">${wsse}<s:Body>${bodyPresets}</s:Body></s:Envelope>`)
-              .then(async () => { await sleep(WAKEUP_SLEEP_MS); console.log('[AUTO] Retrying original goto command…'); return sendSoap(action, body, cb, 'PTZ'); });
-          }
-        }
-
-        cb && cb();
-      })
-      .catch(err => {
-        errorOut(`HTTP/SOAP error on ${action}: ${err.message}`);
-      });
-  };
-
-  // Wakeup chain (PTZ only)
-  if (svc === 'PTZ') {
-    const wakeupTasks = [];
-    if (WAKEUP) wakeupTasks.push(cb => wakeupSequence(cb));
-    if (WAKEUP_SIMPLE) wakeupTasks.push(cb => wakeupSimple(cb));
-
-    let idx = 0;
-    const next = () => (idx < wakeupTasks.length ? wakeupTasks[idx++](next) : doSend());
-    next();
-  } else {
-    doSend();
-  }
+  });
 }
 
-async function wakeupSimple(cb) {
-  if (args.verbose) console.log('[WAKEUP_SIMPLE] Sending GetPresets...');
-  const body = `<tptz:GetPresets xmlns:tptz="http://www.onvif.org/ver20/ptz/wsdl"><ProfileToken>${PROFILE_TOKEN}</ProfileToken></tptz:GetPresets>`;
-  sendSoap('GetPresets', body, async () => {
-    await sleep(WAKEUP_SLEEP_MS);
-    cb && cb();
-  }, 'PTZ');
+function printTable(rows, cols) {
+  const widths = cols.map(c => Math.max(c.length, ...rows.map(r => String(r[c] == null ? '' : r[c]).length)));
+  const line = (vals) => vals.map((v, i) => String(v == null ? '' : v).padEnd(widths[i])).join('  ').trimEnd();
+  console.log(line(cols.map(c => c.toUpperCase())));
+  console.log(line(widths.map(w => '-'.repeat(w))));
+  rows.forEach(r => console.log(line(cols.map(c => r[c]))));
 }
 
-function wakeupSequence(cb) {
-  if (args.verbose) console.log('[WAKEUP] Sending Wake-up Sequence (GetNodes, GetConfigurations, GetPresets)…');
-  const steps = [
-    () => sendSoap('GetNodes', '<tptz:GetNodes xmlns:tptz="http://www.onvif.org/ver20/ptz/wsdl"/>', async () => {
-      await sleep(WAKEUP_SLEEP_MS);
-      steps[1]();
-    }, 'PTZ'),
-    () => sendSoap('GetConfigurations', '<tptz:GetConfigurations xmlns:tptz="http://www.onvif.org/ver20/ptz/wsdl"/>', async () => {
-      await sleep(WAKEUP_SLEEP_MS);
-      steps[2]();
-    }, 'PTZ'),
-    () => sendSoap('GetPresets', `<tptz:GetPresets xmlns:tptz="http://www.onvif.org/ver20/ptz/wsdl"><ProfileToken>${PROFILE_TOKEN}</ProfileToken></tptz:GetPresets>`, async () => {
-      await sleep(WAKEUP_SLEEP_MS);
-      cb && cb();
-    }, 'PTZ')
-  ];
-  steps[0]();
+// --out template for snapshot: %Y %m %d %H %M %S %L (local time), %n (image number), %c (camera), %% (literal %)
+function snapshotPath(template, time, n) {
+  const p2 = v => String(v).padStart(2, '0');
+  const camera = (CAMERA ? CAMERA.name : String(ip || 'camera')).replace(/[^\w.-]/g, '_');
+  const values = {
+    Y: time.getFullYear(), m: p2(time.getMonth() + 1), d: p2(time.getDate()),
+    H: p2(time.getHours()), M: p2(time.getMinutes()), S: p2(time.getSeconds()),
+    L: String(time.getMilliseconds()).padStart(3, '0'), n: String(n).padStart(3, '0'), c: camera, '%': '%'
+  };
+  return template.replace(/%([YmdHMSLnc%])/g, (m, k) => values[k]);
 }
 
-// === Utility for events parsing ===
-function matchTag(xml, regex) {
-  const m = regex.exec(xml);
-  return m && m[1] ? m[1] : null;
-}
-function isoToMs(iso8601) {
-  if (!iso8601 || typeof iso8601 !== 'string') return 60000;
-  const m = /^P(?:(\d+)D)?T?(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?$/i.exec(iso8601);
-  if (!m) return 60000;
-  const days = parseInt(m[1] || '0', 10);
-  const hrs = parseInt(m[2] || '0', 10);
-  const mins = parseInt(m[3] || '0', 10);
-  const secs = parseInt(m[4] || '0', 10);
-  return (((days*24 + hrs)*60 + mins)*60 + secs) * 1000;
-}
-function dateDiffMs(aIso, bIso) {
-  try {
-    const a = new Date(aIso).getTime();
-    const b = new Date(bIso).getTime();
-    if (isNaN(a) || isNaN(b)) return null;
-    return b - a;
-  } catch { return null; }
+// Returned by actions that print as they go (tables, event streams, serve)
+const NO_RESULT = Symbol('no result');
+
+// --output=json: { ok, action, result } with the normalized method result (null for plain commands)
+function printResult(result) {
+  if (OUTPUT !== 'json') return;
+  console.log(JSON.stringify({ ok: true, action: act, result: result === undefined || result === '' ? null : result }, null, 2));
 }
 
 // === ACTIONS ===
 const ACTIONS = {
   // -------------------- Events block --------------------
   async subscribe_events() {
-    if (!ip) errorOut('--ip is required');
-    await discoverServices();
-    const eventsUrl = pickUrlForService('EVENTS');
-
-    const deviceUrl = pickUrlForService('DEVICE');
-    const postWithFallback = async (xml) => {
-      try {
-        const resp = await httpPostXml(eventsUrl, xml);
-        if (resp && resp.statusCode && (resp.statusCode === 404 || resp.statusCode === 405)) {
-          throw new Error('HTTP ' + resp.statusCode);
-        }
-        return resp;
-      } catch (err) {
-        if (args.verbose) console.error('[WARN] EVENTS endpoint failed, trying DEVICE…', err && err.message ? err.message : String(err));
-        const resp2 = await httpPostXml(deviceUrl, xml);
-        return resp2;
-      }
-    };
-
-    if (args.verbose) console.error('[ENDPOINT] EVENTS →', eventsUrl);
-
-    // Build envelopes
-    const wsse = wsseHeaderXml();
-
-    const envelopePush = `<?xml version="1.0" encoding="UTF-8"?>
-<s:Envelope xmlns:s="http://www.w3.org/2003/05/soap-envelope"
-            xmlns:wsa="http://www.w3.org/2005/08/addressing"
-            xmlns:wsnt="http://docs.oasis-open.org/wsn/b-2">
-  ${wsse}
-  <s:Body>
-    <wsnt:Subscribe>
-      <wsnt:ConsumerReference><wsa:Address>${(pushUrl || '').replace(/&/g,'&amp;')}</wsa:Address></wsnt:ConsumerReference>
-      <wsnt:Delivery Mode="http://docs.oasis-open.org/wsn/b-2/HTTP"><wsa:ReferenceParameters/></wsnt:Delivery>
-      <wsnt:InitialTerminationTime>${termination}</wsnt:InitialTerminationTime>
-    </wsnt:Subscribe>
-  </s:Body>
-</s:Envelope>`;
-
-    const envelopePullCreate = `<?xml version="1.0" encoding="UTF-8"?>
-<s:Envelope xmlns:s="http://www.w3.org/2003/05/soap-envelope"
-            xmlns:tev="http://www.onvif.org/ver10/events/wsdl">
-  ${wsse}
-  <s:Body>
-    <tev:CreatePullPointSubscription>
-      <tev:InitialTerminationTime>${termination}</tev:InitialTerminationTime>
-    </tev:CreatePullPointSubscription>
-  </s:Body>
-</s:Envelope>`;
-
-    const envelopePullWsnt = `<?xml version="1.0" encoding="UTF-8"?>
-<s:Envelope xmlns:s="http://www.w3.org/2003/05/soap-envelope"
-            xmlns:wsa="http://www.w3.org/2005/08/addressing"
-            xmlns:wsnt="http://docs.oasis-open.org/wsn/b-2">
-  ${wsse}
-  <s:Body>
-    <wsnt:Subscribe>
-      <wsnt:Delivery Mode="http://docs.oasis-open.org/wsn/b-2/Pull"/>
-      <wsnt:InitialTerminationTime>${termination}</wsnt:InitialTerminationTime>
-    </wsnt:Subscribe>
-  </s:Body>
-</s:Envelope>`;
-
-    try {
-      let subObj = null;
-      if (mode === 'push') {
-        if (!pushUrl) errorOut('--push_url is required for push mode');
-        if (args.debug) console.error('REQUEST Subscribe (push):\n', envelopePush);
-        const resp = await postWithFallback(envelopePush);
-        if (args.debug) console.error('RESPONSE Subscribe (push):\n', resp.body);
-        const address = matchTag(resp.body, /<(?:\w+:)?SubscriptionReference>\s*<(?:\w+:)?Address>([^<]+)<\/(?:\w+:)?Address>/i);
-        const current = matchTag(resp.body, /<(?:\w+:)?CurrentTime>([^<]+)<\/(?:\w+:)?CurrentTime>/i);
-        const term    = matchTag(resp.body, /<(?:\w+:)?TerminationTime>([^<]+)<\/(?:\w+:)?TerminationTime>/i);
-        if (!address) errorOut('No SubscriptionReference.Address in Subscribe (push) response');
-        subObj = { subscription: address, currentTime: current, terminationTime: term };
-        if (args.verbose) console.log('[INFO] Push subscription created');
-      } else {
-        // Pull point first
-        if (args.debug) console.error('REQUEST CreatePullPointSubscription:\n', envelopePullCreate);
-        const resp1 = await postWithFallback(envelopePullCreate);
-        if (args.debug) console.error('RESPONSE CreatePullPointSubscription:\n', resp1.body);
-        if (!/SubscriptionReference/i.test(resp1.body)) {
-          if (args.debug) console.error('CreatePullPointSubscription not supported, trying WS-Notification Subscribe (Pull)…');
-          const resp2 = await postWithFallback(envelopePullWsnt);
-          if (args.debug) console.error('RESPONSE Subscribe (pull):\n', resp2.body);
-          const address = matchTag(resp2.body, /<(?:\w+:)?SubscriptionReference>\s*<(?:\w+:)?Address>([^<]+)<\/(?:\w+:)?Address>/i);
-          const current = matchTag(resp2.body, /<(?:\w+:)?CurrentTime>([^<]+)<\/(?:\w+:)?CurrentTime>/i);
-          const term    = matchTag(resp2.body, /<(?:\w+:)?TerminationTime>([^<]+)<\/(?:\w+:)?TerminationTime>/i);
-          if (!address) errorOut('No SubscriptionReference.Address in Subscribe (pull) response');
-          subObj = { subscription: address, currentTime: current, terminationTime: term };
-        } else {
-          const address = matchTag(resp1.body, /<(?:\w+:)?SubscriptionReference>\s*<(?:\w+:)?Address>([^<]+)<\/(?:\w+:)?Address>/i);
-          const current = matchTag(resp1.body, /<(?:\w+:)?CurrentTime>([^<]+)<\/(?:\w+:)?CurrentTime>/i);
-          const term    = matchTag(resp1.body, /<(?:\w+:)?TerminationTime>([^<]+)<\/(?:\w+:)?TerminationTime>/i);
-          if (!address) errorOut('No SubscriptionReference.Address in CreatePullPointSubscription response');
-          subObj = { subscription: address, currentTime: current, terminationTime: term };
-        }
-        if (args.verbose) console.log('[INFO] Pull subscription created');
-      }
+    if (mode === 'push' && !pushUrl) errorOut('--push_url is required for push mode');
+    // the pull loop arguments are only used after the subscription exists: check them first
+    if (mode === 'pull') {
+      validate.isoDuration(timeout, '--timeout');
+      validate.integer(msgLimit, '--message_limit', 1);
+    }
+    const sub = await CAM.subscribe({ mode, pushUrl, termination });
+    if (args.verbose) console.error(`[INFO] ${mode === 'push' ? 'Push' : 'Pull'} subscription created`);
+
+    const subJson = JSON.stringify(sub, null, 2);
+    // In the PullMessages loop stdout carries one JSON line per notification only
+    const pullLoop = mode === 'pull' && !args.create_only;
+    if (pullLoop) {
+      if (args.verbose) console.error(subJson);
+    } else {
+      printResult(sub.toJSON());
+      if (OUTPUT === 'text') console.log(subJson);
+    }
+    if (!autoRenew && !pullLoop) return NO_RESULT;
 
-      console.log(JSON.stringify({
-        subscription: subObj.subscription,
-        currentTime: subObj.currentTime || null,
-        terminationTime: subObj.terminationTime || null
-      }, null, 2));
-
-      if (autoRenew) {
-        let ttlMs = subObj.currentTime && subObj.terminationTime
-          ? dateDiffMs(subObj.currentTime, subObj.terminationTime)
-          : isoToMs(termination);
-        if (!ttlMs || ttlMs <= 0) ttlMs = isoToMs(termination);
-        let renewMs = Math.max(5000, Math.floor(ttlMs * 0.7));
-        if (args.verbose) console.log(`[INFO] auto_renew active; first renew in ~${Math.round(renewMs/1000)}s`);
-        const subUrl = subObj.subscription;
-
-        async function doRenewLoop() {
-          try {
-            const r = await ACTIONS._renew_internal(subUrl);
-            const newTtlMs = r.currentTime && r.terminationTime ? dateDiffMs(r.currentTime, r.terminationTime) : null;
-            if (newTtlMs && newTtlMs > 0) {
-              renewMs = Math.max(5000, Math.floor(newTtlMs * 0.7));
-              if (args.verbose) console.log(`[INFO] renew ok; next in ~${Math.round(renewMs/1000)}s`);
-            } else if (args.verbose) {
-              console.log('[WARN] renew ok; TTL not provided, keeping previous interval');
-            }
-          } catch (e) {
-            console.error('[ERROR] renew failed:', e.message);
-            renewMs = Math.max(10000, Math.floor(renewMs / 2));
-          } finally {
-            timer = setTimeout(doRenewLoop, renewMs);
-          }
-        }
-        let timer = setTimeout(doRenewLoop, renewMs);
-        const cleanup = async () => {
-          clearTimeout(timer);
-          if (args.auto_unsubscribe_on_exit && subObj.subscription) {
-            try { await ACTIONS._unsubscribe_internal(subUrl); } catch {}
-          }
-          process.exit(0);
-        };
-        process.on('SIGINT', cleanup);
-        process.on('SIGTERM', cleanup);
-        await new Promise(() => {}); // keep process alive
-      }
-    } catch (e) {
-      errorOut(e.message);
+    const cleanup = async () => {
+      try { await sub.close({ unsubscribe: !!args.auto_unsubscribe_on_exit }); } catch {}
+      process.exit(0);
+    };
+    process.on('SIGINT', cleanup);
+    process.on('SIGTERM', cleanup);
+
+    if (pullLoop) {
+      sub.on('event', ev => console.log(JSON.stringify(ev)));
+      await sub.startPulling({ timeout, messageLimit: msgLimit });
+    } else {
+      sub.startRenewing(); // the renew timer keeps the process alive
     }
+    return NO_RESULT;
   },
 
   async renew_subscription() {
     if (!subscriptionUrlArg) errorOut('Missing --subscription');
-    try {
-      const r = await ACTIONS._renew_internal(subscriptionUrlArg);
-      if (args.verbose) console.log('[INFO] renew ok');
-      console.log(JSON.stringify({
-        currentTime: r.currentTime || null,
-        terminationTime: r.terminationTime || null
-      }, null, 2));
-    } catch (e) {
-      errorOut(e.message);
-    }
+    const r = await CAM.renewSubscription(subscriptionUrlArg, termination);
+    if (args.verbose) console.error('[INFO] renew ok');
+    if (OUTPUT === 'text') console.log(JSON.stringify(r, null, 2));
+    return r;
   },
 
   async unsubscribe() {
     if (!subscriptionUrlArg) errorOut('Missing --subscription');
-    try {
-      await ACTIONS._unsubscribe_internal(subscriptionUrlArg);
-      if (args.verbose) console.log('[INFO] unsubscribe ok');
-    } catch (e) {
-      errorOut(e.message);
-    }
-  },
-
-  // Internal helpers for renew/unsubscribe using minimal headers (no action attr)
-  async _renew_internal(subscriptionUrl) {
-    const env = `<?xml version="1.0" encoding="UTF-8"?>
-<s:Envelope xmlns:s="http://www.w3.org/2003/05/soap-envelope"
-            xmlns:wsnt="http://docs.oasis-open.org/wsn/b-2">
-  ${wsseHeaderXml()}
-  <s:Body>
-    <wsnt:Renew><wsnt:TerminationTime>${termination}</wsnt:TerminationTime></wsnt:Renew>
-  </s:Body>
-</s:Envelope>`;
-    if (args.debug) console.error('REQUEST Renew @', subscriptionUrl, ':\n', env);
-    const resp = await httpPostXml(subscriptionUrl, env);
-    if (args.debug) console.error('RESPONSE Renew:\n', resp.body);
-    const current = matchTag(resp.body, /<(?:\w+:)?CurrentTime>([^<]+)<\/(?:\w+:)?CurrentTime>/i);
-    const term    = matchTag(resp.body, /<(?:\w+:)?TerminationTime>([^<]+)<\/(?:\w+:)?TerminationTime>/i);
-    return { currentTime: current || null, terminationTime: term || null };
-  },
-
-  async _unsubscribe_internal(subscriptionUrl) {
-    const env = `<?xml version="1.0" encoding="UTF-8"?>
-<s:Envelope xmlns:s="http://www.w3.org/2003/05/soap-envelope"
-            xmlns:wsnt="http://docs.oasis-open.org/wsn/b-2">
-  ${wsseHeaderXml()}
-  <s:Body><wsnt:Unsubscribe/></s:Body>
-</s:Envelope>`;
-    if (args.debug) console.error('REQUEST Unsubscribe @', subscriptionUrl, ':\n', env);
-    const resp = await httpPostXml(subscriptionUrl, env);
-    if (args.debug) console.error('RESPONSE Unsubscribe:\n', resp.body);
-    return true;
+    await CAM.unsubscribe(subscriptionUrlArg);
+    if (args.verbose) console.error('[INFO] unsubscribe ok');
   },
 
   // -------------------- Original feature set (v1.1.8) --------------------
 
-  move() {
+  async move() {
     if (!('pan' in args) || !('tilt' in args)) errorOut('--pan and --tilt are required for move');
-    const body = `<tptz:ContinuousMove xmlns:tptz="http://www.onvif.org/ver20/ptz/wsdl">
-      <ProfileToken>${PROFILE_TOKEN}</ProfileToken>
-      <Velocity>
-        <PanTilt x="${args.pan}" y="${args.tilt}" xmlns="http://www.onvif.org/ver10/schema"/>
-      </Velocity>
-    </tptz:ContinuousMove>`;
-    sendSoap('ContinuousMove', body, () => {
-      setTimeout(() => ACTIONS.stop(true, false), duration);
-    }, 'PTZ');
+    const velocity = { pan: args.pan, tilt: args.tilt };
+    await CAM.continuousMove(velocity, undefined, await moveOpts(velocity, 'velocity'));
+    await sleep(duration);
+    await CAM.stop({ panTilt: true, zoom: false });
   },
 
   gotohomeposition() {
-    const body = `<tptz:GotoHomePosition xmlns:tptz="http://www.onvif.org/ver20/ptz/wsdl">
-      <ProfileToken>${PROFILE_TOKEN}</ProfileToken>
-    </tptz:GotoHomePosition>`;
-    sendSoap('GotoHomePosition', body, null, 'PTZ');
+    return withWait(() => CAM.gotoHomePosition());
   },
 
-  zoom() {
+  async zoom() {
     if (!('zoom' in args)) errorOut('--zoom is required for zoom');
-    const body = `<tptz:ContinuousMove xmlns:tptz="http://www.onvif.org/ver20/ptz/wsdl">
-      <ProfileToken>${PROFILE_TOKEN}</ProfileToken>
-      <Velocity>
-        <Zoom x="${args.zoom}" xmlns="http://www.onvif.org/ver10/schema"/>
-      </Velocity>
-    </tptz:ContinuousMove>`;
-    sendSoap('ContinuousMove', body, () => {
-      setTimeout(() => ACTIONS.stop(false, true), duration);
-    }, 'PTZ');
-  },
-
-  stop(pan = true, zoom = true) {
-    const body = `<tptz:Stop xmlns:tptz="http://www.onvif.org/ver20/ptz/wsdl">
-      <ProfileToken>${PROFILE_TOKEN}</ProfileToken>
-      <PanTilt>${pan}</PanTilt><Zoom>${zoom}</Zoom>
-    </tptz:Stop>`;
-    sendSoap('Stop', body, null, 'PTZ');
-  },
-
-  goto() {
-    if (!args.preset) errorOut('--preset is required for goto');
-    const body = `<tptz:GotoPreset xmlns:tptz="http://www.onvif.org/ver20/ptz/wsdl">
-      <ProfileToken>${PROFILE_TOKEN}</ProfileToken>
-      <PresetToken>${args.preset}</PresetToken>
-    </tptz:GotoPreset>`;
-    sendSoap('GotoPreset', body, null, 'PTZ');
+    await CAM.continuousMove({ zoom: args.zoom }, undefined, await moveOpts({ zoom: args.zoom }, 'velocity'));
+    await sleep(duration);
+    await CAM.stop({ panTilt: false, zoom: true });
+  },
+
+  // -------------------- Imaging --------------------
+
+  async get_imaging_settings() {
+    return CAM.getImagingSettings(await imagingSource());
+  },
+
+  async get_imaging_options() {
+    return CAM.getImagingOptions(await imagingSource());
+  },
+
+  async set_imaging_settings() {
+    const IRCUT = { day: 'ON', night: 'OFF', auto: 'AUTO' };
+    const ircut = args.ircut !== undefined ? (IRCUT[String(args.ircut).toLowerCase()] || args.ircut) : undefined;
+    const changes = {
+      brightness: args.brightness, contrast: args.contrast, colorSaturation: args.saturation, sharpness: args.sharpness,
+      irCutFilter: ircut, backlightCompensation: args.backlight, backlightLevel: args.backlight_level,
+      wideDynamicRange: args.wdr, wdrLevel: args.wdr_level,
+      exposureMode: args.exposure, exposureTime: args.exposure_time, gain: args.gain, iris: args.iris
+    };
+    Object.keys(changes).forEach(k => changes[k] === undefined && delete changes[k]);
+    if (!Object.keys(changes).length) errorOut('Give at least one of --ircut, --brightness, --contrast, --saturation, --sharpness, --backlight, --wdr, --exposure (see --help)');
+    echoResponses = false;
+    const r = await CAM.setImagingSettings(changes, { source: args.source, dryRun: !!args['dry-run'] });
+    if (OUTPUT === 'text') {
+      console.log(`[${args['dry-run'] ? 'DRY-RUN' : 'IMAGING'}] ${r.source}`);
+      r.changes.forEach(c => console.log(`  ${c.field}: ${c.from} → ${c.to}`));
+      console.log(!r.changes.length ? '  already set, nothing sent' : r.sent ? '  sent' : '  nothing sent');
+    }
+    return r;
+  },
+
+  // --speed alone: continuous for --time seconds, then Stop
+  async focus_move() {
+    const move = { speed: args.speed, position: args.position, distance: args.distance };
+    if (move.position === undefined && move.distance === undefined) {
+      if (move.speed === undefined) errorOut('focus_move needs --speed, --position or --distance');
+      const source = await imagingSource();
+      await CAM.focusMove(move, source);
+      await sleep(duration);
+      return CAM.focusStop(source);
+    }
+    return CAM.focusMove(move, await imagingSource());
+  },
+
+  async focus_stop() {
+    return CAM.focusStop(await imagingSource());
+  },
+
+  async focus_status() {
+    return CAM.getFocusStatus(await imagingSource());
+  },
+
+  stop() {
+    return CAM.stop();
+  },
+
+  async goto() {
+    const preset = await presetArg('goto');
+    // gotoPreset asks GetDeviceInformation before a destructive vendor code; not echoed
+    if (!args.confirm && isDestructivePreset(null, preset)) await quietly(() => CAM.detectVendor().catch(() => null));
+    const opts = Object.assign(args.speed !== undefined ? await moveOpts() : {}, { confirm: !!args.confirm });
+    return withWait(() => CAM.gotoPreset(preset, undefined, opts));
   },
 
   setpreset() {
     if (!args.presetname) errorOut('--presetname is required for setpreset');
-    const body = `<tptz:SetPreset xmlns:tptz="http://www.onvif.org/ver20/ptz/wsdl">
-      <ProfileToken>${PROFILE_TOKEN}</ProfileToken>
-      <PresetName>${args.presetname}</PresetName>
-    </tptz:SetPreset>`;
-    sendSoap('SetPreset', body, null, 'PTZ');
+    return CAM.setPreset(args.presetname).then(token => ({ token }));
   },
 
-  removepreset() {
-    if (!args.preset) errorOut('--preset is required for removepreset');
-    const body = `<tptz:RemovePreset xmlns:tptz="http://www.onvif.org/ver20/ptz/wsdl">
-      <ProfileToken>${PROFILE_TOKEN}</ProfileToken>
-      <PresetToken>${args.preset}</PresetToken>
-    </tptz:RemovePreset>`;
-    sendSoap('RemovePreset', body, null, 'PTZ');
+  async removepreset() {
+    return CAM.removePreset(await presetArg('removepreset'));
   },
 
   get_presets() {
-    const body = `<tptz:GetPresets xmlns:tptz="http://www.onvif.org/ver20/ptz/wsdl">
-      <ProfileToken>${PROFILE_TOKEN}</ProfileToken>
-    </tptz:GetPresets>`;
-    sendSoap('GetPresets', body, null, 'PTZ');
+    return CAM.getPresets();
+  },
+
+  // Preset names and positions as JSON: --file=<path>, else stdout
+  async export_presets() {
+    echoResponses = false;
+    const doc = await CAM.exportPresets();
+    const missing = doc.presets.filter(p => p.pan === null && p.zoom === null).length;
+    if (missing) console.error(`[WARN] ${missing} preset(s) without a position in GetPresets – import will skip them`);
+    if (args.file && args.file !== '-') {
+      fs.writeFileSync(String(args.file), JSON.stringify(doc, null, 2) + '\n');
+      if (OUTPUT === 'text') console.log(`[EXPORT] ${doc.presets.length} preset(s) → ${args.file}`);
+      return { file: String(args.file), presets: doc.presets.length };
+    }
+    if (OUTPUT === 'text') console.log(JSON.stringify(doc, null, 2));
+    return doc;
+  },
+
+  // --file=<export_presets output> (- = stdin); existing names are skipped unless --overwrite
+  async import_presets() {
+    if (!args.file) errorOut('--file is required for import_presets (export_presets output, - for stdin)');
+    let doc;
+    try {
+      doc = JSON.parse(fs.readFileSync(args.file === '-' ? 0 : String(args.file), 'utf8'));
+    } catch (e) {
+      errorOut(`cannot read ${args.file}: ${e.message}`);
+    }
+    echoResponses = false;
+    const opts = {
+      overwrite: !!args.overwrite, dryRun: !!args['dry-run'],
+      waitTimeoutMs: args.wait_timeout !== undefined ? validate.inRange(args.wait_timeout, '--wait_timeout', 0, 3600) * 1000 : undefined
+    };
+    const rows = await CAM.importPresets(doc, opts);
+    const failed = rows.filter(r => r.error).length;
+    if (OUTPUT === 'text') {
+      rows.forEach(r => {
+        const where = r.position ? ` at ${JSON.stringify(r.position)}` : '';
+        if (r.error) console.log(`[ERROR] ${r.name}: ${r.error}`);
+        else if (r.action === 'skip') console.log(`[SKIP] ${r.name || r.from || '(no name)'}: ${r.reason}`);
+        else console.log(`[${opts.dryRun ? 'DRY-RUN' : 'IMPORT'}] ${r.action} ${r.name}${where}${r.token ? ` → token ${r.token}` : ''}`);
+      });
+    }
+    if (failed) process.exitCode = EXIT.FAULT;
+    return rows;
+  },
+
+  // --stops="Door:10,Garden Gate,3:5": preset token or name, optional dwell seconds after the last colon
+  async tour() {
+    if (!args.stops) errorOut('--stops is required for tour (e.g. --stops="Door:10,Garden:5,3")');
+    const stops = String(args.stops).split(',').map(x => x.trim()).filter(Boolean).map(x => {
+      const m = /^(.*):\s*([\d.,]+)$/.exec(x);
+      return m ? { preset: m[1].trim(), dwellMs: validate.number(m[2], `dwell of ${m[1].trim()}`) * 1000 } : { preset: x };
+    });
+    const loop = args.loop === true || /^(true|yes|forever)$/i.test(String(args.loop)) ? true
+      : (args.loop !== undefined ? validate.integer(args.loop, '--loop', 1) : 1);
+    const seconds = (key) => (args[key] !== undefined ? validate.number(args[key], `--${key}`) * 1000 : undefined);
+    const tour = new PresetTour(CAM, {
+      stops, loop, shuffle: !!args.shuffle, speed: args.speed,
+      dwellMs: seconds('dwell'), waitTimeoutMs: seconds('wait_timeout'),
+      pauseOnMotion: !!args.pause_on_motion, motionHoldMs: seconds('motion_hold')
+    });
+    echoResponses = false;
+    const text = OUTPUT === 'text';
+    const label = st => (st.name && st.name !== st.preset ? `${st.name} (${st.preset})` : st.preset);
+    tour.on('goto', st => { if (text) console.log(`[TOUR] round ${st.round}, stop ${st.index}/${stops.length} → ${label(st)}`); });
+    tour.on('arrive', st => {
+      if (text && st.position) console.log(`[TOUR] at ${label(st)}: pan ${st.position.pan}, tilt ${st.position.tilt}, zoom ${st.position.zoom}`);
+    });
+    tour.on('pause', ({ event }) => { if (text) console.log(`[TOUR] motion (${event.topic}) – holding position`); });
+    tour.on('resume', () => { if (text) console.log('[TOUR] no motion – continuing'); });
+    tour.on('warning', msg => console.error(`[WARN] ${msg}`));
+    const interrupt = () => tour.stop();
+    process.once('SIGINT', interrupt);
+    process.once('SIGTERM', interrupt);
+    const summary = await tour.run();
+    if (text) console.log(`[TOUR] ${summary.stopped ? 'interrupted' : 'done'}: ${summary.visited} stop(s) in ${summary.rounds} round(s)`);
+    // an open PullMessages long poll must not keep the process alive
+    CAM.close();
+    return summary;
+  },
+
+  // Keyboard PTZ on a terminal (onvif_control_console.js): one camera session for every key
+  async interactive() {
+    const ptz = new PtzConsole(CAM, {
+      speed: args.speed, holdMs: args.time ? duration : undefined, clamp: CLAMP,
+      statusMs: args.interval !== undefined ? validate.inRange(args.interval, '--interval', 0, 60) * 1000 : undefined
+    });
+    echoResponses = false;
+    process.once('SIGTERM', () => ptz.stop());
+    const summary = await ptz.run();
+    CAM.close();
+    if (OUTPUT === 'text') console.log(`[INTERACTIVE] ${summary.moves} move(s), ${summary.stored} preset(s) stored`);
+    return summary;
+  },
+
+  // --batch=<file> (- = stdin): steps of onvif_control_batch.js on this one camera session; one JSON line per step
+  async batch() {
+    if (!args.batch || args.batch === true) errorOut('--batch=<file> is required for batch (- for stdin)');
+    let text;
+    try {
+      text = fs.readFileSync(args.batch === '-' ? 0 : String(args.batch), 'utf8');
+    } catch (e) {
+      errorOut(`cannot read ${args.batch}: ${e.message}`);
+    }
+    const onError = String(args.on_error || 'abort').toLowerCase();
+    if (!['abort', 'continue'].includes(onError)) errorOut(`--on_error must be abort or continue (got ${args.on_error})`);
+    const steps = parseBatch(text);
+    if (args['dry-run']) {
+      steps.forEach(st => console.log(JSON.stringify({ step: st.step, line: st.line, command: st.command, args: st.args, opts: st.opts, onError: st.onError || onError })));
+      return NO_RESULT;
+    }
+    const batch = new PtzBatch(CAM, steps, { onError, clamp: CLAMP });
+    echoResponses = false;
+    let exitCode = EXIT.OK;
+    batch.on('step', r => {
+      if (r.ok) return console.log(JSON.stringify(r));
+      const { code, details } = errorInfo(r.error);
+      if (r.onError === 'abort') exitCode = code;
+      console.log(JSON.stringify(Object.assign({}, r, { error: Object.assign({ message: r.error.message, exitCode: code }, details) })));
+    });
+    const interrupt = () => batch.stop();
+    process.once('SIGINT', interrupt);
+    process.once('SIGTERM', interrupt);
+    const summary = await batch.run();
+    CAM.close();
+    console.log(JSON.stringify({ summary }));
+    process.exitCode = exitCode;
+    return NO_RESULT;
+  },
+
+  // -------------------- Vendor special presets --------------------
+
+  async feature() {
+    if (!args.name) errorOut('--name is required for feature (see list_features)');
+    echoResponses = false;
+    const r = await CAM.feature(args.name, args.state, {
+      value: args.value, confirm: !!args.confirm, dryRun: !!args['dry-run']
+    });
+    if (OUTPUT === 'text') {
+      console.log(`[${args['dry-run'] ? 'DRY-RUN' : 'FEATURE'}] ${VENDORS[r.vendor].name} ${r.feature} ${r.state}`);
+      r.steps.forEach(st => console.log(`  ${st.op === 'set' ? 'SET' : 'CALL'} ${st.preset}`));
+      console.log(r.sent ? '  sent' : '  nothing sent');
+    }
+    return r;
+  },
+
+  list_features() {
+    let rows;
+    try {
+      rows = listFeatures(VENDOR);
+    } catch (e) {
+      errorOut(e.message);
+    }
+    if (OUTPUT === 'json') return rows;
+    printTable(rows.map(r => Object.assign({}, r, {
+      states: r.states.join(' '),
+      value: r.value ? `${r.value[0]}…${r.value[1]}` : '',
+      destructive: r.destructive ? 'yes' : ''
+    })), ['vendor', 'feature', 'states', 'value', 'destructive', 'description']);
+    return NO_RESULT;
   },
 
   status() {
-    const body = `<tptz:GetStatus xmlns:tptz="http://www.onvif.org/ver20/ptz/wsdl">
-      <ProfileToken>${PROFILE_TOKEN}</ProfileToken>
-    </tptz:GetStatus>`;
-    sendSoap('GetStatus', body, null, 'PTZ');
+    return CAM.getStatus();
   },
 
-  absolutemove() {
+  async absolutemove() {
     if (!('pan' in args) || !('tilt' in args)) errorOut('--pan and --tilt required');
-    const body = `<tptz:AbsoluteMove xmlns:tptz="http://www.onvif.org/ver20/ptz/wsdl">
-      <ProfileToken>${PROFILE_TOKEN}</ProfileToken>
-      <Position>
-        <PanTilt x="${args.pan}" y="${args.tilt}" xmlns="http://www.onvif.org/ver10/schema"/>
-        ${'zoom' in args ? `<Zoom x="${args.zoom}" xmlns="http://www.onvif.org/ver10/schema"/>` : ''}
-      </Position>
-    </tptz:AbsoluteMove>`;
-    sendSoap('AbsoluteMove', body, null, 'PTZ');
+    const position = { pan: args.pan, tilt: args.tilt, zoom: 'zoom' in args ? args.zoom : undefined };
+    const opts = await moveOpts(position, 'position');
+    return withWait(() => CAM.absoluteMove(position, undefined, opts));
   },
 
-  relativemove() {
+  async relativemove() {
     if (!('pan' in args) || !('tilt' in args)) errorOut('--pan and --tilt required');
-    const body = `<tptz:RelativeMove xmlns:tptz="http://www.onvif.org/ver20/ptz/wsdl">
-      <ProfileToken>${PROFILE_TOKEN}</ProfileToken>
-      <Translation>
-        <PanTilt x="${args.pan}" y="${args.tilt}" xmlns="http://www.onvif.org/ver10/schema"/>
-        ${'zoom' in args ? `<Zoom x="${args.zoom}" xmlns="http://www.onvif.org/ver10/schema"/>` : ''}
-      </Translation>
-    </tptz:RelativeMove>`;
-    sendSoap('RelativeMove', body, null, 'PTZ');
+    const translation = { pan: args.pan, tilt: args.tilt, zoom: 'zoom' in args ? args.zoom : undefined };
+    const opts = await moveOpts(translation, 'translation');
+    return withWait(() => CAM.relativeMove(translation, undefined, opts));
   },
 
   configoptions() {
-    const body = `<tptz:GetConfigurationOptions xmlns:tptz="http://www.onvif.org/ver20/ptz/wsdl">
-      <ConfigurationToken>${PROFILE_TOKEN}</ConfigurationToken>
-    </tptz:GetConfigurationOptions>`;
-    sendSoap('GetConfigurationOptions', body, null, 'PTZ');
+    return CAM.getConfigurationOptions();
   },
 
   reboot() {
-    const body = `<tds:SystemReboot xmlns:tds="http://www.onvif.org/ver10/device/wsdl"/>`;
-    sendSoap('SystemReboot', body, null, 'DEVICE');
+    return CAM.reboot();
   },
 
   factoryreset() {
-    const body = `<tds:FactoryReset xmlns:tds="http://www.onvif.org/ver10/device/wsdl"/>`;
-    sendSoap('FactoryReset', body, null, 'DEVICE');
+    return CAM.factoryReset();
   },
 
+  // Host time (or --datetime) in UTC, host timezone offset as TZ
   setdatetime() {
-    const now = new Date();
-    const offsetMinutes = new Date().getTimezoneOffset();
-    const sign = offsetMinutes > 0 ? '-' : '+';
-    const absMin = Math.abs(offsetMinutes);
-    const tzHours = String(Math.floor(absMin / 60)).padStart(2, '0');
-    const tzMins  = String(absMin % 60).padStart(2, '0');
-    const timezone = `GMT${sign}${tzHours}:${tzMins}`;
-
-    const body = `<tds:SetSystemDateAndTime xmlns:tds="http://www.onvif.org/ver10/device/wsdl" xmlns:tt="http://www.onvif.org/ver10/schema">
-      <tds:DateTimeType>Manual</tds:DateTimeType>
-      <tds:DaylightSavings>false</tds:DaylightSavings>
-      <tds:TimeZone>
-        <tt:TZ>${timezone}</tt:TZ>
-      </tds:TimeZone>
-      <tds:UTCDateTime>
-        <tt:Time>
-          <tt:Hour>${now.getUTCHours()}</tt:Hour>
-          <tt:Minute>${now.getUTCMinutes()}</tt:Minute>
-          <tt:Second>${now.getUTCSeconds()}</tt:Second>
-        </tt:Time>
-        <tt:Date>
-          <tt:Year>${now.getUTCFullYear()}</tt:Year>
-          <tt:Month>${now.getUTCMonth() + 1}</tt:Month>
-          <tt:Day>${now.getUTCDate()}</tt:Day>
-        </tt:Date>
-      </tds:UTCDateTime>
-    </tds:SetSystemDateAndTime>`;
-
-    sendSoap('SetSystemDateAndTime', body, null, 'DEVICE');
+    return CAM.setSystemDateAndTime(datetime ? new Date(datetime) : new Date());
   },
 
   get_snapshot_uri() {
-    const body = `<trt:GetSnapshotUri xmlns:trt="http://www.onvif.org/ver10/media/wsdl">
-      <trt:ProfileToken>${PROFILE_TOKEN}</trt:ProfileToken>
-    </trt:GetSnapshotUri>`;
-    sendSoap('GetSnapshotUri', body, null, 'MEDIA'); // will choose media2 if available
+    return CAM.getSnapshotUri().then(uri => ({ uri })); // will choose media2 if available
+  },
+
+  // Resolves the snapshot URI once, then downloads --count images every --interval seconds
+  async snapshot() {
+    const count = validate.integer(args.count !== undefined ? args.count : 1, '--count', 1);
+    const intervalMs = validate.number(args.interval !== undefined ? args.interval : 1, '--interval') * 1000;
+    if (intervalMs < 0) errorOut('--interval must not be negative');
+    let template = args.out ? String(args.out) : 'snapshot_%c_%Y%m%d_%H%M%S.jpg';
+    // a burst needs distinct names
+    if (count > 1 && !/%[nL]/.test(template)) template = template.replace(/(\.[^./\\]*)?$/, '_%n$1');
+
+    let stopped = false;
+    let wake = null;
+    process.once('SIGINT', () => { stopped = true; if (wake) wake(); });
+
+    const uri = await CAM.getSnapshotUri();
+    const files = [];
+    for (let n = 1; n <= count && !stopped; n++) {
+      const started = Date.now();
+      const shot = await CAM.fetchSnapshot({ uri });
+      const file = snapshotPath(template, shot.time, n);
+      fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+      fs.writeFileSync(file, shot.data);
+      files.push({ file, bytes: shot.data.length, contentType: shot.contentType, time: shot.time.toISOString() });
+      if (OUTPUT === 'text') console.log(`[SNAPSHOT] ${file} (${shot.data.length} bytes)`);
+      if (n < count) {
+        await new Promise(r => {
+          const timer = setTimeout(r, Math.max(0, intervalMs - (Date.now() - started)));
+          wake = () => { clearTimeout(timer); r(); };
+        });
+        wake = null;
+      }
+    }
+    if (stopped && args.verbose) console.error(`[INFO] Interrupted after ${files.length} of ${count} images`);
+    return { uri, files };
   },
 
   get_stream_uri() {
-    const body = `<trt:GetStreamUri xmlns:trt="http://www.onvif.org/ver10/media/wsdl">
-      <trt:StreamSetup>
-        <tt:Stream xmlns:tt="http://www.onvif.org/ver10/schema">RTP-Unicast</tt:Stream>
-        <tt:Transport xmlns:tt="http://www.onvif.org/ver10/schema">
-          <tt:Protocol>RTSP</tt:Protocol>
-        </tt:Transport>
-      </trt:StreamSetup>
-      <trt:ProfileToken>${PROFILE_TOKEN}</trt:ProfileToken>
-    </trt:GetStreamUri>`;
-    sendSoap('GetStreamUri', body, null, 'MEDIA');
-  },
-
-  get_profiles() {
-    // Use Media2 if present, else Media1
-    // Media v2
-    const bodyV2 = `<tr2:GetProfiles xmlns:tr2="http://www.onvif.org/ver20/media/wsdl"/>`;
-    // Media v1
-    const bodyV1 = `<trt:GetProfiles xmlns:trt="http://www.onvif.org/ver10/media/wsdl"/>`;
-
-    discoverServices()
-      .then(() => {
-        if (DISCOVERY.media2) {
-          sendSoap('GetProfiles', bodyV2, null, 'MEDIA2');
-        } else {
-          sendSoap('GetProfiles', bodyV1, null, 'MEDIA1');
-        }
-      })
-      .catch(err => errorOut(`Discovery failed: ${err.message}`));
+    return CAM.getStreamUri(undefined, args.protocol).then(uri => ({ uri }));
+  },
+
+  // Use Media2 if present, else Media1; --summary: one line per profile (codec, resolution, PTZ, stream URI)
+  async get_profiles() {
+    if (!args.summary) return CAM.getProfiles();
+    echoResponses = false;
+    const profiles = await CAM.getProfileSummary({ protocol: args.protocol });
+    if (OUTPUT === 'text') {
+      printTable(profiles.map(p => Object.assign({}, p, { ptz: p.ptzConfiguration || '-', fps: p.frameRate })),
+        ['token', 'name', 'encoding', 'resolution', 'fps', 'bitrate', 'ptz', 'streamUri']);
+    }
+    return profiles;
   },
 
   get_video_encoder_configuration() {
-    const body = `<trt:GetVideoEncoderConfiguration xmlns:trt="http://www.onvif.org/ver10/media/wsdl">
-      <trt:ConfigurationToken>${PROFILE_TOKEN}</trt:ConfigurationToken>
-    </trt:GetVideoEncoderConfiguration>`;
-    sendSoap('GetVideoEncoderConfiguration', body, null, 'MEDIA');
-  },
-
-  set_video_encoder_configuration() {
-    if (!resolution || !bitrate || !codec) errorOut('Missing --resolution, --bitrate, or --codec');
-    const [w, h] = String(resolution).split('x');
-    const body = `<trt:SetVideoEncoderConfiguration xmlns:trt="http://www.onvif.org/ver10/media/wsdl">
-      <trt:Configuration>
-        <tt:Encoding xmlns:tt="http://www.onvif.org/ver10/schema">${codec}</tt:Encoding>
-        <tt:Resolution>
-          <tt:Width>${w}</tt:Width>
-          <tt:Height>${h}</tt:Height>
-        </tt:Resolution>
-        <tt:RateControl>
-          <tt:BitrateLimit>${bitrate}</tt:BitrateLimit>
-        </tt:RateControl>
-      </trt:Configuration>
-      <trt:ForcePersistence>true</trt:ForcePersistence>
-    </trt:SetVideoEncoderConfiguration>`;
-    sendSoap('SetVideoEncoderConfiguration', body, null, 'MEDIA');
+    return CAM.getVideoEncoderConfiguration(args.configuration);
+  },
+
+  // All encoder configurations (--token: only the selected profile's)
+  async get_video_encoder_configurations() {
+    echoResponses = false;
+    const list = await CAM.getVideoEncoderConfigurations({ profileToken: args.token });
+    if (OUTPUT === 'text') {
+      printTable(list.map(c => Object.assign({}, c, { fps: c.frameRate, gop: c.govLength })),
+        ['token', 'name', 'encoding', 'resolution', 'fps', 'bitrate', 'quality', 'gop', 'profile', 'useCount']);
+    }
+    return list;
+  },
+
+  async get_video_encoder_configuration_options() {
+    echoResponses = false;
+    const options = await CAM.getVideoEncoderConfigurationOptions({ configurationToken: args.configuration });
+    if (OUTPUT === 'text') console.log(JSON.stringify(options, null, 2));
+    return options;
+  },
+
+  // Read-modify-write of the profile's (or --configuration) encoder; --dry-run prints the diff only
+  async set_video_encoder_configuration() {
+    const changes = { resolution, bitrate, codec, frameRate: args.fps, govLength: args.gop, quality: args.quality, profile: args.profile };
+    Object.keys(changes).forEach(k => changes[k] === undefined && delete changes[k]);
+    if (!Object.keys(changes).length) errorOut('Give at least one of --resolution, --bitrate, --fps, --gop, --quality, --codec, --profile');
+    echoResponses = false;
+    const r = await CAM.setVideoEncoderConfiguration(changes, { configurationToken: args.configuration, dryRun: !!args['dry-run'] });
+    if (OUTPUT === 'text') {
+      console.log(`[${args['dry-run'] ? 'DRY-RUN' : 'VIDEO ENCODER'}] ${r.token} (${r.media})`);
+      r.changes.forEach(c => console.log(`  ${c.field}: ${c.from} → ${c.to}`));
+      console.log(!r.changes.length ? '  already set, nothing sent' : r.sent ? '  sent' : '  nothing sent');
+    }
+    return r;
   },
 
   get_system_date_and_time() {
-    const body = `<tds:GetSystemDateAndTime xmlns:tds="http://www.onvif.org/ver10/device/wsdl"/>`;
-    sendSoap('GetSystemDateAndTime', body, null, 'DEVICE');
+    return CAM.getSystemDateAndTime();
   },
 
   get_system_info() {
-    const body = `<tds:GetDeviceInformation xmlns:tds="http://www.onvif.org/ver10/device/wsdl"/>`;
-    sendSoap('GetDeviceInformation', body, null, 'DEVICE');
+    return CAM.getDeviceInformation();
   },
 
   get_device_information() {
@@ -1033,235 +1107,233 @@ const ACTIONS = {
   },
 
   get_capabilities() {
-    const body = `<tds:GetCapabilities xmlns:tds="http://www.onvif.org/ver10/device/wsdl"/>`;
-    sendSoap('GetCapabilities', body, null, 'DEVICE');
+    return CAM.getCapabilities();
   },
 
   get_network_interfaces() {
-    const body = `<tds:GetNetworkInterfaces xmlns:tds="http://www.onvif.org/ver10/device/wsdl"/>`;
-    sendSoap('GetNetworkInterfaces', body, null, 'DEVICE');
+    return CAM.getNetworkInterfaces();
   },
 
   set_network_interfaces() {
-    const dhcpFlag = dhcp === '1' ? 'true' : 'false';
     if (!ip || !netmask) errorOut('Missing --ip or --netmask');
-    const body = `<tds:SetNetworkInterfaces xmlns:tds="http://www.onvif.org/ver10/device/wsdl" xmlns:tt="http://www.onvif.org/ver10/schema">
-      <tds:InterfaceToken>eth0</tds:InterfaceToken>
-      <tds:NetworkInterface>
-        <tt:Enabled>true</tt:Enabled>
-        <tt:IPv4>
-          <tt:Enabled>true</tt:Enabled>
-          <tt:Manual>
-            <tt:Address>${ip}</tt:Address>
-            <tt:PrefixLength>${netmaskToPrefix(netmask)}</tt:PrefixLength>
-            
-          </tt:Manual>
-          <tt:DHCP>${dhcpFlag}</tt:DHCP>
-        </tt:IPv4>
-      </tds:NetworkInterface>
-    </tds:SetNetworkInterfaces>`;
-    sendSoap('SetNetworkInterfaces', body, null, 'DEVICE');
+    return CAM.setNetworkInterfaces({ address: ip, netmask, dhcp: dhcp === '1' || dhcp === 1 });
   },
 
   get_users() {
-    const body = `<tds:GetUsers xmlns:tds="http://www.onvif.org/ver10/device/wsdl"/>`;
-    sendSoap('GetUsers', body, null, 'DEVICE');
+    return CAM.getUsers();
   },
 
   add_user() {
     if (!newUser || !newPass || !newLevel) errorOut('Missing --new_username, --new_password, or --new_userlevel');
-    const body = `<tds:CreateUsers xmlns:tds="http://www.onvif.org/ver10/device/wsdl">
-      <tds:User>
-        <tt:Username xmlns:tt="http://www.onvif.org/ver10/schema">${newUser}</tt:Username>
-        <tt:Password xmlns:tt="http://www.onvif.org/ver10/schema">${newPass}</tt:Password>
-        <tt:UserLevel xmlns:tt="http://www.onvif.org/ver10/schema">${newLevel}</tt:UserLevel>
-      </tds:User>
-    </tds:CreateUsers>`;
-    sendSoap('CreateUsers', body, null, 'DEVICE');
+    return CAM.createUser({ username: newUser, password: newPass, level: newLevel });
   },
 
   delete_user() {
     if (!delUser) errorOut('Missing --del_username');
-    const body = `<tds:DeleteUsers xmlns:tds="http://www.onvif.org/ver10/device/wsdl">
-      <tds:Username>${delUser}</tds:Username>
-    </tds:DeleteUsers>`;
-    sendSoap('DeleteUsers', body, null, 'DEVICE');
+    return CAM.deleteUser(delUser);
   },
 
   sethostname() {
     if (!hostname) errorOut('Missing --hostname');
-    const body = `<tds:SetHostname xmlns:tds="http://www.onvif.org/ver10/device/wsdl">
-      <tds:Name>${hostname}</tds:Name>
-    </tds:SetHostname>`;
-    sendSoap('SetHostname', body, null, 'DEVICE');
+    return CAM.setHostname(hostname);
   },
 
   set_dns() {
     if (!dns1 && !dns2) errorOut('Missing --dns1 or --dns2');
-    const dnsBlocks = [dns1, dns2].filter(Boolean).map(d => `<tds:DNSManual><tt:Type>IPv4</tt:Type><tt:IPv4Address>${d}</tt:IPv4Address></tds:DNSManual>`).join('');
-    const body = `<tds:SetDNS xmlns:tds="http://www.onvif.org/ver10/device/wsdl" xmlns:tt="http://www.onvif.org/ver10/schema">
-      <tds:FromDHCP>false</tds:FromDHCP>
-      ${dnsBlocks}
-    </tds:SetDNS>`;
-    sendSoap('SetDNS', body, null, 'DEVICE');
+    return CAM.setDns([dns1, dns2]);
   },
 
   get_dns() {
-    const body = `<tds:GetDNS xmlns:tds="http://www.onvif.org/ver10/device/wsdl"/>`;
-    sendSoap('GetDNS', body, null, 'DEVICE');
+    return CAM.getDns();
   },
 
   set_ntp() {
     if (!ntp) errorOut('Missing --ntp_server');
-    const body = `<tds:SetNTP xmlns:tds="http://www.onvif.org/ver10/device/wsdl" xmlns:tt="http://www.onvif.org/ver10/schema">
-      <tds:FromDHCP>false</tds:FromDHCP>
-      <tds:NTPManual>
-        <tt:Type>IPv4</tt:Type>
-        <tt:IPv4Address>${ntp}</tt:IPv4Address>
-      </tds:NTPManual>
-    </tds:SetNTP>`;
-    sendSoap('SetNTP', body, null, 'DEVICE');
+    return CAM.setNtp(ntp);
   },
 
   reset_password() {
     if (!username_reset || !newpass_reset) errorOut('Missing --username or --new_password');
-    const body = `<tds:SetUser xmlns:tds="http://www.onvif.org/ver10/device/wsdl" xmlns:tt="http://www.onvif.org/ver10/schema">
-      <tds:User>
-        <tt:Username>${username_reset}</tt:Username>
-        <tt:Password>${newpass_reset}</tt:Password>
-      </tds:User>
-    </tds:SetUser>`;
-    sendSoap('SetUser', body, null, 'DEVICE');
+    return CAM.setUser({ username: username_reset, password: newpass_reset });
   },
 
   get_event_properties() {
     // Use Events endpoint (tev) for standards-compliant call
-    const body = `<tev:GetEventProperties xmlns:tev="http://www.onvif.org/ver10/events/wsdl"/>`;
-    sendSoap('GetEventProperties', body, null, 'EVENTS');
+    return CAM.getEventProperties();
   },
 
   subscribe_events_device() {
-    const body = `<tev:Subscribe xmlns:tev="http://www.onvif.org/ver10/events/wsdl"/>`;
-    sendSoap('Subscribe', body, null, 'DEVICE');
+    return CAM.subscribeViaDevice();
   },
 
   get_motion_detection() {
-    // Many cams expose motion via device or analytics extensions; keep as-is
-    const body = `<tmd:GetMotionDetection xmlns:tmd="http://www.onvif.org/ver10/schema"/>`;
-    sendSoap('GetMotionDetection', body, null, 'DEVICE');
+    return CAM.getMotionDetection();
   },
 
   set_motion_detection() {
     if (!enable_motion) errorOut('Missing --enable');
-    const body = `<tmd:SetMotionDetection xmlns:tmd="http://www.onvif.org/ver10/schema">
-      <tmd:Enabled>${enable_motion}</tmd:Enabled>
-    </tmd:SetMotionDetection>`;
-    sendSoap('SetMotionDetection', body, null, 'DEVICE');
+    return CAM.setMotionDetection(enable_motion);
   },
 
   configurations() {
     // Alias for GetConfigurations (PTZ)
-    const body = `<tptz:GetConfigurations xmlns:tptz="http://www.onvif.org/ver20/ptz/wsdl"/>`;
-    sendSoap('GetConfigurations', body, null, 'PTZ');
+    return CAM.getConfigurations();
   },
 
   get_configurations() {
-    this.configurations();
+    return this.configurations();
   },
 
   get_nodes() {
-    const body = `<tptz:GetNodes xmlns:tptz="http://www.onvif.org/ver20/ptz/wsdl"/>`;
-    sendSoap('GetNodes', body, null, 'PTZ');
+    return CAM.getNodes();
   },
   presets() {
     // Alias to 'get_presets'
-    this.get_presets();
+    return this.get_presets();
   },
 
   preset() {
     // Alias to 'goto'
-    this.goto();
+    return this.goto();
   },
 
   home() {
     // Alias to 'gotohomeposition'
-    this.gotohomeposition();
+    return this.gotohomeposition();
   },
 
   get_static_ip() {
     // No dedicated ONVIF call; reuse GetNetworkInterfaces
-    this.get_network_interfaces();
+    return this.get_network_interfaces();
   },
 
 
   gethostname() {
-    const body = `<tds:GetHostname xmlns:tds="http://www.onvif.org/ver10/device/wsdl"/>`;
-    sendSoap('GetHostname', body, null, 'DEVICE');
+    return CAM.getHostname();
   },
 
   get_system_logs() {
     // ONVIF GetSystemLog takes a type (System or Access) in some implementations; default to System
-    const type = (logtype && String(logtype).toLowerCase() === 'access') ? 'Access' : 'System';
-    const body = `<tds:GetSystemLog xmlns:tds="http://www.onvif.org/ver10/device/wsdl">
-      <tds:LogType>${type}</tds:LogType>
-    </tds:GetSystemLog>`;
-    sendSoap('GetSystemLog', body, null, 'DEVICE');
+    return CAM.getSystemLog(logtype || 'System');
   },
 
   set_static_ip() {
     // Compatibility shim: call set_network_interfaces with DHCP=false
-    const dhcpFlag = 'false';
     if (!ip || !netmask) errorOut('Missing --ip or --netmask');
-    const body = `<tds:SetNetworkInterfaces xmlns:tds="http://www.onvif.org/ver10/device/wsdl" xmlns:tt="http://www.onvif.org/ver10/schema">
-      <tds:InterfaceToken>eth0</tds:InterfaceToken>
-      <tds:NetworkInterface>
-        <tt:Enabled>true</tt:Enabled>
-        <tt:IPv4>
-          <tt:Enabled>true</tt:Enabled>
-          <tt:Manual>
-            <tt:Address>${ip}</tt:Address>
-            <tt:PrefixLength>${netmaskToPrefix(netmask)}</tt:PrefixLength>
-            
-          </tt:Manual>
-          <tt:DHCP>${dhcpFlag}</tt:DHCP>
-        </tt:IPv4>
-      </tds:NetworkInterface>
-    </tds:SetNetworkInterfaces>`;
-    sendSoap('SetNetworkInterfaces', body, null, 'DEVICE');
+    return CAM.setNetworkInterfaces({ address: ip, netmask, dhcp: false });
   },
 
   enable_dhcp() {
     // Compatibility shim: enable DHCP on IPv4 (no static manual block)
-    const body = `<tds:SetNetworkInterfaces xmlns:tds="http://www.onvif.org/ver10/device/wsdl" xmlns:tt="http://www.onvif.org/ver10/schema">
-      <tds:InterfaceToken>eth0</tds:InterfaceToken>
-      <tds:NetworkInterface>
-        <tt:Enabled>true</tt:Enabled>
-        <tt:IPv4>
-          <tt:Enabled>true</tt:Enabled>
-          <tt:DHCP>true</tt:DHCP>
-        </tt:IPv4>
-      </tds:NetworkInterface>
-    </tds:SetNetworkInterfaces>`;
-    sendSoap('SetNetworkInterfaces', body, null, 'DEVICE');
+    return CAM.enableDhcp();
+  },
+  // Inventory listing (passwords masked)
+  list_cameras() {
+    let cfgPath;
+    try {
+      cfgPath = resolveConfigPath(args.config, __dirname);
+      if (!cfgPath) errorOut('No inventory file found (--config=<file> or onvif_cameras.json, see --help)');
+      const inv = loadInventory(cfgPath);
+      const out = Object.values(inv.cameras).map(c => Object.assign({}, c, { pass: c.pass ? '***' : undefined }));
+      if (OUTPUT !== 'json') console.log(JSON.stringify({ file: inv.file, cameras: out }, null, 2));
+      return { file: inv.file, cameras: out };
+    } catch (e) {
+      errorOut(e.message);
+    }
   },
+
+  // WS-Discovery: multicast Probe (or unicast with --ip), collect ProbeMatches for --discover_timeout seconds
+  async discover() {
+    let seconds = 3;
+    try {
+      if (args.discover_timeout !== undefined) seconds = validate.inRange(args.discover_timeout, '--discover_timeout', 1, 600);
+    } catch (e) {
+      errorOut(e.message);
+    }
+    const devices = await OnvifCamera.discover({
+      timeoutMs: seconds * 1000,
+      address: args.ip ? String(args.ip) : undefined,
+      interface: args.interface,
+      log: (level, msg) => { if (level === 'debug' ? args.debug : (level !== 'info' || args.verbose)) console.error(msg); }
+    });
+    if (OUTPUT === 'json') {
+      return devices;
+    } else if (!devices.length) {
+      console.log('No ONVIF devices answered.');
+    } else {
+      printTable(devices.map(d => Object.assign({}, d, { xaddrs: d.xaddrs.join(' ') })),
+        ['ip', 'port', 'name', 'hardware', 'location', 'xaddrs', 'endpoint']);
+    }
+    return NO_RESULT;
+  },
+
+  // Resident HTTP/JSON API (onvif_control_server.js); cameras from the inventory plus --ip/--port if given
+  serve() {
+    let cameras = {};
+    try {
+      const cfgPath = resolveConfigPath(args.config, __dirname);
+      if (cfgPath) cameras = loadInventory(cfgPath).cameras;
+    } catch (e) {
+      errorOut(e.message);
+    }
+    const cliName = args.camera ? String(args.camera) : 'default';
+    if (ip && !cameras[cliName]) {
+      cameras[cliName] = {
+        name: cliName, host: ip, port: String(args.port || '80'), user: args.user, pass: args.pass,
+        token: args.token, wakeup: WAKEUP ? 'full' : (WAKEUP_SIMPLE ? 'simple' : 'none'), auth: AUTH, quirks: QUIRKS
+      };
+    }
+    if (!Object.keys(cameras).length) errorOut('serve needs at least one camera: an inventory file (--config) and/or --ip/--port');
+
+    const listen = args.listen || '127.0.0.1:8787';
+    if (!args.api_token && !/^(127\.|localhost:|\[?::1\]?:)/.test(listen)) {
+      console.error(`[WARN] serve on ${listen} without --api_token: anyone on the network can move your cameras`);
+    }
+    startServer({
+      cameras,
+      listen,
+      apiToken: args.api_token,
+      wakeupIdleMs: parseFloat(args.wakeup_idle || '300') * 1000,
+      verbose: args.verbose,
+      debug: args.debug,
+      version: VERSION
+    });
+    return NO_RESULT;
+  },
+
   // NEW: Device:GetServices to print XAddrs (Media/PTZ)
-  get_services() {
-    discoverServices()
-      .then(() => {
-        console.log(JSON.stringify(DISCOVERY, null, 2));
-      })
-      .catch(err => errorOut(`Discovery failed: ${err.message}`));
+  async get_services() {
+    const services = await CAM.getServices();
+    if (OUTPUT !== 'json') console.log(JSON.stringify(services, null, 2));
+    return services;
   }
 };
 
-function netmaskToPrefix(mask) {
-  // naive conversion (IPv4 dotted decimal to prefix length)
-  const parts = String(mask).split('.').map(n => parseInt(n, 10));
-  if (parts.length !== 4 || parts.some(n => isNaN(n) || n < 0 || n > 255)) return 24;
-  const bits = parts.map(n => n.toString(2).padStart(8, '0')).join('');
-  return bits.split('1').length - 1; // count ones
+// Exit code and JSON error details of a library error (failOut, batch step results)
+function errorInfo(e) {
+  if (e instanceof OnvifFaultError) {
+    return {
+      code: FAULT_EXIT[e.category] || EXIT.FAULT,
+      details: {
+        type: 'fault', category: e.category || 'device', code: e.code || null, subcode: e.subcode || null,
+        reason: e.reason || null, hint: e.hint || null, statusCode: e.statusCode || null
+      }
+    };
+  }
+  if (e instanceof OnvifConnectionError) return { code: EXIT.CONNECTION, details: { type: 'connection' } };
+  if (e instanceof OnvifArgumentError) return { code: EXIT.USAGE, details: { type: 'argument' } };
+  return { code: EXIT.INTERNAL, details: { type: 'internal', errno: e.code || null } };
+}
+
+function failOut(e) {
+  const { code, details } = errorInfo(e);
+  if (code === EXIT.INTERNAL && args.debug) console.error(e.stack);
+  errorOut(code === EXIT.INTERNAL ? `${e.message}${args.debug ? '' : ' (--debug shows where)'}` : e.message, code, details);
 }
 
 const act = String(args.action || '').toLowerCase();
 if (!ACTIONS[act]) errorOut(`Unsupported action: ${act}`);
-ACTIONS[act]();
+Promise.resolve()
+  .then(() => ACTIONS[act]())
+  .then(result => { if (result !== NO_RESULT) printResult(result); })
+  .catch(failOut);
@@ -0,0 +1,260 @@
+/**
+ * onvif_control_batch
+ * Batch mode: a list of steps run one after the other on one OnvifCamera, so discovery, authentication and the
+ * wakeup happen once for the whole list.
+ *
+ * Used by:
+ * - onvif_control.js  (--batch=<file> or --batch=- for stdin; --on_error=abort|continue)
+ *
+ * Steps are separated by newlines or ";", arguments by spaces ("quotes" for names with spaces), # starts a comment:
+ *
+ *   goto Driveway speed=0.5; wait idle; snapshot /tmp/a.jpg
+ *   relativemove 0.1 0; sleep 2; home
+ *   goto "Garden Gate" on_error=continue
+ *
+ *   const steps = parseBatch(text);                   // OnvifArgumentError with the line on bad input
+ *   const batch = new PtzBatch(cam, steps, { onError: 'abort' });
+ *   batch.on('step', r => console.log(JSON.stringify(r)));
+ *   const summary = await batch.run();
+ *
+ * Events: 'step' { step, line, command, args, ok, ms, result | error (the Error) }. stop() ends the batch after the
+ * current step (a sleep or move ends at once; a move in progress is stopped).
+ */
+'use strict';
+
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const path = require('path');
+const { OnvifArgumentError, matchPreset, validate } = require('./onvif_control_camera');
+
+const ON_ERROR = ['abort', 'continue'];
+
+// command → { params: ['name', 'name?' (optional), 'name#' (number)], opts: [key=value options],
+//             words (drops filler words before the params are matched), run }
+// run(batch, values, opts) resolves the step result (null for plain commands)
+const COMMANDS = {
+  goto: {
+    params: ['preset'], opts: ['speed', 'confirm'],
+    run: async (b, [preset], o) => {
+      const p = await b._preset(preset);
+      await b.camera.gotoPreset(p.token, b.token, { speed: o.speed, clamp: b.clamp, confirm: o.confirm });
+      return { preset: p.token, name: p.name };
+    }
+  },
+  home: { params: [], run: b => b.camera.gotoHomePosition(b.token).then(() => null) },
+  // wait [idle] [timeout s]: until the last move has finished (OnvifCamera.waitForIdle)
+  wait: {
+    params: ['timeout#?'],
+    words: args => (args[0] && args[0].toLowerCase() === 'idle' ? args.slice(1) : args),
+    run: async (b, [timeout]) => {
+      b._abort = new AbortController();
+      try {
+        const st = await b.camera.waitForIdle({ timeoutMs: timeout === undefined ? undefined : timeout * 1000, signal: b._abort.signal, token: b.token });
+        return { pan: st.pan, tilt: st.tilt, zoom: st.zoom, moveStatus: st.moveStatus, waitedMs: st.waitedMs };
+      } finally {
+        b._abort = null;
+      }
+    }
+  },
+  sleep: { params: ['seconds#'], run: (b, [s]) => b._sleep(s * 1000).then(() => null) },
+  move: {
+    params: ['pan#', 'tilt#', 'seconds#'],
+    run: (b, [pan, tilt, s]) => b._timedMove({ pan, tilt }, s, { panTilt: true, zoom: false })
+  },
+  zoom: { params: ['zoom#', 'seconds#'], run: (b, [zoom, s]) => b._timedMove({ zoom }, s, { panTilt: false, zoom: true }) },
+  stop: { params: [], run: b => b.camera.stop({}, b.token).then(() => null) },
+  absolutemove: {
+    params: ['pan#', 'tilt#', 'zoom#?'], opts: ['speed', 'units'],
+    run: (b, [pan, tilt, zoom], o) => b.camera.absoluteMove({ pan, tilt, zoom }, b.token, { speed: o.speed, units: o.units, clamp: b.clamp }).then(() => null)
+  },
+  relativemove: {
+    params: ['pan#', 'tilt#', 'zoom#?'], opts: ['speed', 'units'],
+    run: (b, [pan, tilt, zoom], o) => b.camera.relativeMove({ pan, tilt, zoom }, b.token, { speed: o.speed, units: o.units, clamp: b.clamp }).then(() => null)
+  },
+  status: { params: [], run: b => b.camera.getStatus(b.token) },
+  presets: { params: [], run: async b => { b._presets = null; return b._presetList(); } },
+  setpreset: {
+    params: ['name'],
+    run: async (b, [name]) => { b._presets = null; return { token: await b.camera.setPreset(name, b.token) }; }
+  },
+  removepreset: {
+    params: ['preset'],
+    run: async (b, [preset]) => {
+      const p = await b._preset(preset);
+      b._presets = null;
+      await b.camera.removePreset(p.token, b.token);
+      return { preset: p.token, name: p.name };
+    }
+  },
+  snapshot: {
+    params: ['file'],
+    run: async (b, [file]) => {
+      const shot = await b.camera.fetchSnapshot({ token: b.token });
+      fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+      fs.writeFileSync(file, shot.data);
+      return { file, bytes: shot.data.length, contentType: shot.contentType };
+    }
+  },
+  feature: {
+    params: ['name', 'state?'], opts: ['value', 'confirm'],
+    run: (b, [name, state], o) => b.camera.feature(name, state, { value: o.value, confirm: o.confirm })
+  }
+};
+
+// Split into steps at newlines and ";" and into words at blanks, outside quotes; # to the end of the line is a comment
+function tokenize(text) {
+  const steps = [];
+  let words = [], word = null, quote = null, line = 1, stepLine = 1;
+  const endWord = () => { if (word !== null) words.push(word); word = null; };
+  const endStep = () => { endWord(); if (words.length) steps.push({ line: stepLine, words }); words = []; };
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quote) {
+      if (c === quote) quote = null;
+      else word += c;
+      if (c === '\n') line++;
+      continue;
+    }
+    if (c === '"' || c === "'") { quote = c; word = word || ''; continue; }
+    if (c === '#' && word === null) { while (i + 1 < text.length && text[i + 1] !== '\n') i++; continue; }
+    if (c === ';' || c === '\n') {
+      endStep();
+      if (c === '\n') line++;
+      stepLine = line;
+      continue;
+    }
+    if (/\s/.test(c)) { endWord(); if (!words.length) stepLine = line; continue; }
+    word = (word || '') + c;
+  }
+  if (quote) throw new OnvifArgumentError(`line ${line}: unterminated ${quote}`);
+  endStep();
+  return steps;
+}
+
+/**
+ * Steps text → [{ step, line, command, args (words as given), values (checked), opts, onError }].
+ * Everything is checked before the first step runs: unknown commands / options, argument counts, numbers.
+ */
+function parseBatch(text) {
+  const steps = tokenize(String(text)).map(({ line, words }, i) => {
+    const fail = msg => { throw new OnvifArgumentError(`line ${line}: ${msg}`); };
+    const command = words[0].toLowerCase();
+    const cmd = COMMANDS[command];
+    if (!cmd) fail(`unknown command "${words[0]}" (known: ${Object.keys(COMMANDS).join(', ')})`);
+    const args = [], opts = {};
+    let onError;
+    for (const w of words.slice(1)) {
+      const m = /^(\w+)=(.*)$/.exec(w);
+      if (!m) { args.push(w); continue; }
+      if (m[1] === 'on_error') {
+        if (!ON_ERROR.includes(m[2])) fail(`on_error must be ${ON_ERROR.join(' or ')} (got "${m[2]}")`);
+        onError = m[2];
+      } else if ((cmd.opts || []).includes(m[1])) {
+        opts[m[1]] = m[2];
+      } else {
+        fail(`${command} has no option "${m[1]}"${cmd.opts ? ` (known: ${cmd.opts.join(', ')}, on_error)` : ' (only on_error)'}`);
+      }
+    }
+    const params = cmd.words ? cmd.words(args) : args;
+    const required = cmd.params.filter(p => !p.endsWith('?')).length;
+    if (params.length < required || params.length > cmd.params.length) {
+      fail(`${command} takes ${cmd.params.map(p => (p.endsWith('?') ? `[${p.replace(/[#?]/g, '')}]` : p.replace('#', ''))).join(' ') || 'no arguments'}`);
+    }
+    let values;
+    try {
+      values = cmd.params.map((p, j) => (params[j] !== undefined && p.includes('#') ? validate.number(params[j], p.replace(/[#?]/g, '')) : params[j]));
+      if (opts.speed !== undefined) opts.speed = validate.inRange(opts.speed, 'speed', 0, 1);
+      if (opts.confirm !== undefined) opts.confirm = validate.bool(opts.confirm, 'confirm');
+    } catch (e) {
+      fail(e.message);
+    }
+    return { step: i + 1, line, command, args, values, opts, onError };
+  });
+  if (!steps.length) throw new OnvifArgumentError('batch has no steps');
+  return steps;
+}
+
+class PtzBatch extends EventEmitter {
+  /**
+   * opts: { onError ('abort' default | 'continue': for steps without their own on_error), clamp (see continuousMove), token }
+   */
+  constructor(camera, steps, opts = {}) {
+    super();
+    this.camera = camera;
+    this.steps = steps;
+    this.onError = opts.onError === undefined ? 'abort' : validate.oneOf(opts.onError, 'on_error', ON_ERROR);
+    this.clamp = !!opts.clamp;
+    this.token = opts.token;
+    this.stopped = false;
+    this._presets = null;
+    this._wake = null;
+    this._abort = null;
+    this._moving = false;
+  }
+
+  // End the batch after the current step; a sleep, wait or timed move in it ends at once
+  stop() {
+    this.stopped = true;
+    if (this._wake) this._wake();
+    if (this._abort) this._abort.abort();
+  }
+
+  _sleep(ms) {
+    if (this.stopped || ms <= 0) return Promise.resolve();
+    return new Promise(resolve => {
+      const timer = setTimeout(done, ms);
+      function done() { clearTimeout(timer); resolve(); }
+      this._wake = done;
+    }).then(() => { this._wake = null; });
+  }
+
+  async _presetList() {
+    if (!this._presets) this._presets = await this.camera.getPresets(this.token);
+    return this._presets;
+  }
+
+  // Token or name (matched like --preset_name) against the preset list, read once per batch
+  async _preset(tokenOrName) {
+    return matchPreset(await this._presetList(), tokenOrName);
+  }
+
+  async _timedMove(velocity, seconds, stopWhat) {
+    validate.inRange(seconds, 'seconds', 0, 3600);
+    this._moving = true;
+    await this.camera.continuousMove(velocity, this.token, { clamp: this.clamp });
+    await this._sleep(seconds * 1000);
+    await this.camera.stop(stopWhat, this.token);
+    this._moving = false;
+    return null;
+  }
+
+  /**
+   * Resolves { steps, ok, failed, skipped, aborted (a failed abort step or stop() ended the batch), exitStep }.
+   */
+  async run() {
+    let ok = 0, failed = 0, done = 0, aborted = false, exitStep = null;
+    try {
+      for (const st of this.steps) {
+        if (this.stopped) { aborted = true; break; }
+        const started = Date.now();
+        const report = { step: st.step, line: st.line, command: st.command, args: st.args };
+        done++;
+        try {
+          const result = await COMMANDS[st.command].run(this, st.values, st.opts);
+          ok++;
+          this.emit('step', Object.assign(report, { ok: true, ms: Date.now() - started, result: result === undefined ? null : result }));
+        } catch (e) {
+          failed++;
+          const policy = st.onError || this.onError;
+          this.emit('step', Object.assign(report, { ok: false, ms: Date.now() - started, error: e, onError: policy }));
+          if (policy === 'abort') { aborted = true; exitStep = st.step; break; }
+        }
+      }
+    } finally {
+      if (this._moving) await this.camera.stop({}, this.token).catch(() => {});
+    }
+    return { steps: this.steps.length, ok, failed, skipped: this.steps.length - done, aborted: aborted || this.stopped, exitStep };
+  }
+}
+
+module.exports = { PtzBatch, parseBatch, BATCH_COMMANDS: Object.keys(COMMANDS) };
@@ -0,0 +1,2340 @@
+/**
+ * onvif_control_camera
+ * OnvifCamera: promise-based ONVIF client (PTZ, Media, Device, Events, WS-Discovery).
+ *
+ * Used by:
+ * - onvif_control.js         (CLI: one instance per run, prints the results)
+ * - onvif_control_server.js  (serve: one long-lived instance per camera)
+ * - your own Node program:
+ *
+ *   const { OnvifCamera } = require('./onvif_control');   // same as require('./onvif_control_camera')
+ *   const cam = new OnvifCamera({ host: '172.20.1.191', port: 8080, user: 'admin', pass: '…' });
+ *   const presets = await cam.getPresets();               // [{ token, name, pan, tilt, zoom }]
+ *   await cam.gotoPreset(presets[0].token);
+ *
+ * Methods never print and never exit. They resolve with parsed objects (normalized where noted,
+ * otherwise the SOAP response element via xml2js, namespace prefixes stripped) and reject with:
+ *   OnvifArgumentError   bad or missing input – nothing was sent
+ *   OnvifConnectionError camera not reachable / timeout
+ *   OnvifFaultError      camera answered with a SOAP Fault or an HTTP error status; .category is one of
+ *                        auth | not_supported | invalid_argument | busy | device, .hint says what to do
+ *
+ * Events: 'request' { service, action, url, body } and 'response' { service, action, url, statusCode,
+ * xml, name, data } for every SOAP exchange (logging / debugging), 'clockOffset' (ms) when the camera clock
+ * offset was measured or changed (see syncClock), 'auth' (mode name) when auth 'auto' settled on HTTP auth. Calls of one instance are sent one
+ * after the other; long-polling PullMessages runs outside that queue.
+ */
+'use strict';
+
+const dgram = require('dgram');
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const { URL } = require('url');
+const xml2js = require('xml2js');
+const { createSoapClient, escapeXml, AUTH_MODES, SOCKET_TIMEOUT_MS } = require('./onvif_control_soap');
+const { parseNotifications, decodeXmlEntities } = require('./onvif_control_events');
+const vendors = require('./onvif_control_vendors');
+
+// Pause after each wakeup call
+const WAKEUP_SLEEP_MS = 1000;
+// waitForIdle: GetStatus poll interval, default timeout and position tolerance (ONVIF generic space units)
+const WAIT_POLL_MS = 300;
+const WAIT_TIMEOUT_MS = 30000;
+const WAIT_TOLERANCE = 0.001;
+// A camera that has not started the move yet reports IDLE at the old position: without a position change (or a
+// MOVING poll) IDLE only counts after this long
+const WAIT_SETTLE_MS = 1500;
+// Pause between the steps of a vendor preset sequence (65 + SET, X + SET …)
+const FEATURE_STEP_SLEEP_MS = 1000;
+// Preset import on cameras without a usable GetStatus: pause after AbsoluteMove before SetPreset
+const IMPORT_SETTLE_MS = 3000;
+// Event service calls (Subscribe, Renew, Unsubscribe) get more time than the other SOAP calls
+const EVENTS_TIMEOUT_MS = 15000;
+// Pull loop: pause before recreating a lost pull point, doubled per failed PullMessages in a row (first one at once)
+const PULL_BACKOFF_MS = 1000;
+const PULL_BACKOFF_MAX_MS = 60000;
+// WS-Addressing action for PullPointSubscription.PullMessages
+const PULL_MESSAGES_ACTION = 'http://www.onvif.org/ver10/events/wsdl/PullPointSubscription/PullMessagesRequest';
+const WSD_MULTICAST_ADDR = '239.255.255.250';
+const WSD_PORT = 3702;
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+class OnvifError extends Error {
+  constructor(message, props) {
+    super(message);
+    this.name = this.constructor.name;
+    Object.assign(this, props);
+  }
+}
+class OnvifArgumentError extends OnvifError {}
+class OnvifConnectionError extends OnvifError {}
+// props: { action, statusCode, code, subcode, subcodes, reason, category, hint, xml }
+class OnvifFaultError extends OnvifError {}
+
+function parseXml(xml) {
+  return new Promise((resolve, reject) => {
+    xml2js.parseString(xml, { explicitArray: false, tagNameProcessors: [xml2js.processors.stripPrefix], attrNameProcessors: [xml2js.processors.stripPrefix] }, (err, result) => {
+      if (err) reject(err); else resolve(result);
+    });
+  });
+}
+
+function matchTag(xml, regex) {
+  const m = regex.exec(xml);
+  return m && m[1] ? m[1] : null;
+}
+
+// Code / Subcode chain / Reason of a SOAP 1.2 Fault (SOAP 1.1 faultcode / faultstring too); null when the body has none.
+// subcode is the most specific one (ONVIF nests e.g. ter:InvalidArgVal → ter:NoProfile).
+function parseFault(xml) {
+  if (!/<(?:\w+:)?Fault[\s>]/.test(xml || '')) return null;
+  const values = [];
+  const re = /<(?:\w+:)?Value>([^<]*)<\/(?:\w+:)?Value>/g;
+  let m;
+  while ((m = re.exec(xml))) values.push(m[1].trim());
+  const code = values[0] || matchTag(xml, /<faultcode[^>]*>([^<]*)<\/faultcode>/);
+  const subcodes = values.slice(1);
+  const reason = matchTag(xml, /<(?:\w+:)?Text[^>]*>([^<]*)<\/(?:\w+:)?Text>/) || matchTag(xml, /<faultstring[^>]*>([^<]*)<\/faultstring>/);
+  return {
+    code: code ? code.trim() : null,
+    subcode: subcodes.length ? subcodes[subcodes.length - 1] : null,
+    subcodes,
+    reason: reason ? decodeXmlEntities(reason.trim()) : null
+  };
+}
+
+// ONVIF subcodes (ter: prefix stripped) → category + what to do about it. Most specific subcode wins.
+const FAULT_HINTS = {
+  NotAuthorized:        ['auth', 'not authorized: wrong user/password or clock skew between host and camera, try --action=setdatetime'],
+  FailedAuthentication: ['auth', 'authentication failed: wrong user/password or clock skew, try --action=setdatetime'],
+  InvalidSecurity:      ['auth', 'WS-Security header rejected: check user/password and the camera clock (setdatetime)'],
+  ActionNotSupported:   ['not_supported', 'the camera does not implement this call'],
+  NotSupported:         ['not_supported', 'the camera does not support this'],
+  NoPTZProfile:         ['not_supported', 'the profile has no PTZ configuration (try another --token, see get_profiles)'],
+  NoImagingForSource:   ['not_supported', 'no imaging service for this video source'],
+  SettingsInvalid:      ['invalid_argument', 'the camera rejected the imaging settings (see get_imaging_options)'],
+  NoProfile:            ['invalid_argument', 'unknown profile token (see get_profiles, --token)'],
+  NoToken:              ['invalid_argument', 'unknown preset token (see get_presets)'],
+  NoEntity:             ['invalid_argument', 'no such item on the camera'],
+  NoConfig:             ['invalid_argument', 'unknown configuration token'],
+  NoSource:             ['invalid_argument', 'unknown video source token'],
+  InvalidPosition:      ['invalid_argument', 'position outside the PTZ space (see configoptions)'],
+  InvalidSpeed:         ['invalid_argument', 'speed outside the supported range'],
+  InvalidTranslation:   ['invalid_argument', 'translation outside the PTZ space'],
+  InvalidVelocity:      ['invalid_argument', 'velocity outside the supported range'],
+  InvalidPresetName:    ['invalid_argument', 'preset name rejected (too long or invalid characters)'],
+  PresetExist:          ['invalid_argument', 'a preset with this name already exists'],
+  TooManyPresets:       ['invalid_argument', 'preset limit reached: remove a preset first'],
+  ConfigModify:         ['invalid_argument', 'the camera refused the configuration change'],
+  InvalidArgVal:        ['invalid_argument', 'invalid argument value'],
+  InvalidArgs:          ['invalid_argument', 'invalid arguments'],
+  MovingPTZ:            ['busy', 'PTZ is moving: stop it first or retry'],
+  Action:               ['device', 'the camera failed to execute the call']
+};
+
+// Category when no subcode is known: HTTP status, then env:Sender / env:Receiver
+function faultCategory(fault, statusCode) {
+  for (const sc of fault.subcodes.slice().reverse()) {
+    const hint = FAULT_HINTS[sc.replace(/^\w+:/, '')];
+    if (hint) return { category: hint[0], hint: hint[1] };
+  }
+  if (statusCode === 401 || statusCode === 403) return { category: 'auth', hint: 'HTTP authentication failed: check user/password, or try --auth=auto (HTTP Digest)' };
+  if (statusCode === 404 || statusCode === 405) return { category: 'not_supported', hint: 'service endpoint not found on the camera' };
+  if (/Sender$/.test(fault.code || '')) return { category: 'invalid_argument', hint: null };
+  return { category: 'device', hint: null };
+}
+
+// OnvifFaultError for a Fault body or an HTTP error status
+function faultError(action, statusCode, xml) {
+  const fault = parseFault(xml) || { code: null, subcode: null, subcodes: [], reason: null };
+  const { category, hint } = faultCategory(fault, statusCode);
+  const what = fault.reason || fault.subcode || fault.code || `HTTP ${statusCode}`;
+  const detail = fault.subcode && fault.reason ? ` [${fault.subcode}]` : '';
+  return new OnvifFaultError(`SOAP Fault on ${action}: ${what}${detail}${hint ? ` – ${hint}` : ''}`,
+    Object.assign({ action, statusCode, xml, category, hint }, fault));
+}
+
+function isoToMs(iso8601) {
+  if (!iso8601 || typeof iso8601 !== 'string') return 60000;
+  const m = /^P(?:(\d+)D)?T?(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?$/i.exec(iso8601);
+  if (!m) return 60000;
+  const days = parseInt(m[1] || '0', 10);
+  const hrs = parseInt(m[2] || '0', 10);
+  const mins = parseInt(m[3] || '0', 10);
+  const secs = parseInt(m[4] || '0', 10);
+  return (((days*24 + hrs)*60 + mins)*60 + secs) * 1000;
+}
+
+function dateDiffMs(aIso, bIso) {
+  const a = new Date(aIso).getTime();
+  const b = new Date(bIso).getTime();
+  if (isNaN(a) || isNaN(b)) return null;
+  return b - a;
+}
+
+// -------------------- Input validation --------------------
+// Everything a caller passes is checked here before a body is built (OnvifArgumentError, nothing sent);
+// strings that end up in a body additionally go through escapeXml.
+
+// IPv4 dotted decimal netmask (contiguous ones) to prefix length
+function netmaskToPrefix(mask) {
+  const parts = String(mask).split('.').map(n => (/^\d{1,3}$/.test(n) ? parseInt(n, 10) : NaN));
+  if (parts.length !== 4 || parts.some(n => isNaN(n) || n > 255)) throw new OnvifArgumentError(`invalid netmask: ${mask}`);
+  const bits = parts.map(n => n.toString(2).padStart(8, '0')).join('');
+  if (!/^1*0*$/.test(bits)) throw new OnvifArgumentError(`invalid netmask (non-contiguous): ${mask}`);
+  return bits.indexOf('0') === -1 ? 32 : bits.indexOf('0');
+}
+
+function number(value, name) {
+  const n = typeof value === 'number' ? value : parseFloat(String(value).replace(',', '.'));
+  if (value === undefined || value === null || value === '' || !Number.isFinite(n) ||
+      (typeof value !== 'number' && !/^\s*[-+]?(\d+([.,]\d*)?|[.,]\d+)([eE][-+]?\d+)?\s*$/.test(String(value)))) {
+    throw new OnvifArgumentError(`${name} must be a number (got ${JSON.stringify(value)})`);
+  }
+  return n;
+}
+
+function inRange(value, name, min, max) {
+  const n = number(value, name);
+  if (n < min || n > max) throw new OnvifArgumentError(`${name} must be between ${min} and ${max} (got ${n})`);
+  return n;
+}
+
+function integer(value, name, min = 0) {
+  const n = number(value, name);
+  if (!Number.isInteger(n) || n < min) throw new OnvifArgumentError(`${name} must be an integer >= ${min} (got ${JSON.stringify(value)})`);
+  return n;
+}
+
+function required(value, name) {
+  if (value === undefined || value === null || value === '') throw new OnvifArgumentError(`Missing ${name}`);
+  return value;
+}
+
+// tt:ReferenceToken: up to 64 characters; no whitespace or XML markup
+function referenceToken(value, name) {
+  const t = String(required(value, name));
+  if (!/^[A-Za-z0-9_.:@\/+=-]{1,64}$/.test(t)) {
+    throw new OnvifArgumentError(`${name} may only contain letters, digits and _ . : @ / + = - (max. 64 characters; got ${JSON.stringify(t)})`);
+  }
+  return t;
+}
+
+// xs:duration limited to what isoToMs understands: P[nD][T[nH][nM][nS]]
+function isoDuration(value, name) {
+  const d = String(required(value, name));
+  if (!/^P(?=\d|T\d)(\d+D)?(T(?=\d)(\d+H)?(\d+M)?(\d+S)?)?$/i.test(d)) {
+    throw new OnvifArgumentError(`${name} must be an ISO 8601 duration like PT60S, PT5M or P1DT2H (got ${JSON.stringify(d)})`);
+  }
+  return d.toUpperCase();
+}
+
+function ipv4(value, name) {
+  const a = String(required(value, name));
+  const parts = a.split('.');
+  if (parts.length !== 4 || parts.some(p => !/^\d{1,3}$/.test(p) || parseInt(p, 10) > 255)) {
+    throw new OnvifArgumentError(`${name} must be an IPv4 address (got ${JSON.stringify(a)})`);
+  }
+  return a;
+}
+
+function httpUrl(value, name) {
+  const u = String(required(value, name));
+  try {
+    if (!/^https?:$/.test(new URL(u).protocol)) throw new Error();
+  } catch {
+    throw new OnvifArgumentError(`${name} must be an http(s) URL (got ${JSON.stringify(u)})`);
+  }
+  return u;
+}
+
+function oneOf(value, name, allowed) {
+  const v = String(required(value, name));
+  const hit = allowed.find(a => a.toLowerCase() === v.toLowerCase());
+  if (!hit) throw new OnvifArgumentError(`${name} must be one of ${allowed.join(', ')} (got ${JSON.stringify(v)})`);
+  return hit;
+}
+
+function bool(value, name) {
+  const v = String(required(value, name)).toLowerCase();
+  if (['true', '1', 'yes', 'on'].includes(v)) return true;
+  if (['false', '0', 'no', 'off'].includes(v)) return false;
+  throw new OnvifArgumentError(`${name} must be true or false (got ${JSON.stringify(value)})`);
+}
+
+// Generic ONVIF spaces (no space URI sent): ranges per kind
+const VECTOR_RANGES = {
+  velocity:    { pan: [-1, 1], tilt: [-1, 1], zoom: [-1, 1] },
+  position:    { pan: [-1, 1], tilt: [-1, 1], zoom: [0, 1] },
+  translation: { pan: [-1, 1], tilt: [-1, 1], zoom: [-1, 1] },
+  speed:       { pan: [0, 1], tilt: [0, 1], zoom: [0, 1] }
+};
+
+// <PanTilt x= y=/> + <Zoom x=/> (only the parts that were given); kind: velocity | position | translation | speed
+// spaces: { panTilt, zoom } space URIs – values in such a space are the camera's to check (see OnvifCamera._fitVector)
+function vectorXml({ pan, tilt, zoom } = {}, kind = 'velocity', spaces = {}) {
+  const r = VECTOR_RANGES[kind];
+  const value = (v, axis, uri) => (uri ? number(v, axis) : inRange(v, axis, ...r[axis]));
+  const space = uri => (uri ? ` space="${escapeXml(uri)}"` : '');
+  let s = '';
+  if (pan !== undefined || tilt !== undefined) {
+    s += `<PanTilt x="${value(pan, 'pan', spaces.panTilt)}" y="${value(tilt, 'tilt', spaces.panTilt)}"${space(spaces.panTilt)} xmlns="http://www.onvif.org/ver10/schema"/>`;
+  }
+  if (zoom !== undefined) s += `<Zoom x="${value(zoom, 'zoom', spaces.zoom)}"${space(spaces.zoom)} xmlns="http://www.onvif.org/ver10/schema"/>`;
+  if (!s) throw new OnvifArgumentError('pan/tilt and/or zoom required');
+  return s;
+}
+
+function attrNum(node, key = 'x') {
+  if (!node || !node.$ || node.$[key] === undefined) return null;
+  const n = parseFloat(node.$[key]);
+  return Number.isFinite(n) ? n : null;
+}
+
+const asArray = v => (v === undefined || v === null ? [] : [].concat(v));
+
+// xml2js keeps the xmlns declarations as attributes ($); they are noise in results
+function stripXmlns(node) {
+  if (Array.isArray(node)) return node.map(stripXmlns);
+  if (!node || typeof node !== 'object') return node;
+  const out = {};
+  for (const [k, v] of Object.entries(node)) {
+    if (k === '$') {
+      const attrs = Object.fromEntries(Object.entries(v).filter(([a]) => a !== 'xmlns' && !a.startsWith('xmlns:')));
+      if (Object.keys(attrs).length) out.$ = attrs;
+    } else {
+      out[k] = stripXmlns(v);
+    }
+  }
+  return out;
+}
+
+// Text of an element that may carry attributes (xml2js: string or { _, $ })
+const text = v => (v === undefined || v === null ? null : (typeof v === 'object' ? (v._ || null) : String(v)));
+
+// tt:DateTime { Date { Year, Month, Day }, Time { Hour, Minute, Second } } → ISO string
+function utcFromOnvif(dt) {
+  if (!dt || !dt.Date || !dt.Time) return null;
+  const n = v => parseInt(text(v), 10);
+  const ms = Date.UTC(n(dt.Date.Year), n(dt.Date.Month) - 1, n(dt.Date.Day), n(dt.Time.Hour), n(dt.Time.Minute), n(dt.Time.Second));
+  return Number.isFinite(ms) ? new Date(ms).toISOString() : null;
+}
+
+// -------------------- Presets --------------------
+
+// "Garden-Gate 2" → "gardengate2": names compared without case, spaces and punctuation
+const presetKey = s => String(s || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+
+function editDistance(a, b) {
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const next = [i];
+    for (let j = 1; j <= b.length; j++) {
+      next[j] = Math.min(row[j] + 1, next[j - 1] + 1, row[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    row = next;
+  }
+  return row[b.length];
+}
+
+const presetLabel = p => (p.name ? `${p.name} (${p.token})` : String(p.token));
+
+/**
+ * Entry of getPresets() by name, loosest match last: exact (case-insensitive) → equal without spaces and
+ * punctuation → the only name starting with / containing it → the only name within a small typo distance.
+ * OnvifArgumentError listing the candidates when nothing or more than one preset matches.
+ */
+function matchPresetName(presets, name) {
+  const wanted = String(required(name, 'preset name'));
+  const key = presetKey(wanted);
+  const named = presets.filter(p => p.name);
+  const steps = [
+    p => p.name.toLowerCase() === wanted.toLowerCase(),
+    p => key && presetKey(p.name) === key,
+    p => key && presetKey(p.name).startsWith(key),
+    p => key && presetKey(p.name).includes(key),
+    p => key.length >= 4 && editDistance(presetKey(p.name), key) <= (key.length >= 8 ? 2 : 1)
+  ];
+  for (const step of steps) {
+    const hits = named.filter(step);
+    if (hits.length === 1) return hits[0];
+    if (hits.length > 1) {
+      throw new OnvifArgumentError(`preset name "${wanted}" is ambiguous: ${hits.map(presetLabel).join(', ')}`);
+    }
+  }
+  const closest = named
+    .map(p => ({ p, d: editDistance(presetKey(p.name), key) }))
+    .sort((a, b) => a.d - b.d)
+    .map(x => presetLabel(x.p));
+  throw new OnvifArgumentError(`no preset named "${wanted}" (candidates: ${closest.join(', ') || 'none'})`);
+}
+
+// Entry of getPresets() by token, else by name (see matchPresetName)
+function matchPreset(presets, tokenOrName) {
+  const wanted = String(required(tokenOrName, 'preset'));
+  const hit = presets.find(p => p.token === wanted);
+  if (hit) return hit;
+  try {
+    return matchPresetName(presets, wanted);
+  } catch (e) {
+    throw new OnvifArgumentError(e.message.replace(/^no preset named/, 'no preset with token or name'));
+  }
+}
+
+// -------------------- Media normalization (Media1 and Media2 shapes) --------------------
+
+const num = v => {
+  const n = parseFloat(text(v));
+  return Number.isFinite(n) ? n : null;
+};
+const attr = (node, key) => (node && node.$ && node.$[key] !== undefined ? node.$[key] : null);
+const range = node => (node ? { min: num(node.Min), max: num(node.Max) } : null);
+// Media2 packs lists into attributes: "1 150" (range), "30 25 12.5" (list)
+const attrList = (node, key) => (attr(node, key) === null ? null : String(attr(node, key)).trim().split(/\s+/));
+const resolution = r => (r && num(r.Width) && num(r.Height) ? `${num(r.Width)}x${num(r.Height)}` : null);
+
+// { token, name, useCount, encoding, resolution, width, height, quality, frameRate, bitrate, govLength, profile }
+function normalizeEncoderConfig(c) {
+  if (!c) return null;
+  const rc = c.RateControl || {};
+  const codec = c.H264 || c.MPEG4 || {};
+  return {
+    token: attr(c, 'token'),
+    name: text(c.Name),
+    useCount: num(c.UseCount),
+    encoding: text(c.Encoding),
+    resolution: resolution(c.Resolution),
+    width: c.Resolution ? num(c.Resolution.Width) : null,
+    height: c.Resolution ? num(c.Resolution.Height) : null,
+    quality: num(c.Quality),
+    frameRate: num(rc.FrameRateLimit),
+    bitrate: num(rc.BitrateLimit),
+    govLength: attr(c, 'GovLength') !== null ? num(attr(c, 'GovLength')) : num(codec.GovLength),
+    profile: attr(c, 'Profile') || text(codec.H264Profile) || text(codec.Mpeg4Profile)
+  };
+}
+
+// Media1: one Options element with a block per codec; Media2: one Options element per codec.
+// → [{ encoding, qualityRange, resolutions: ['WxH'], frameRates, frameRateRange, govLengthRange, profiles, bitrateRange }]
+function normalizeEncoderOptions(data, media2) {
+  const pairRange = list => (list && list.length >= 2 ? { min: parseFloat(list[0]), max: parseFloat(list[list.length - 1]) } : null);
+  if (media2) {
+    return asArray(data && data.Options).map(o => ({
+      encoding: text(o.Encoding),
+      qualityRange: range(o.QualityRange),
+      resolutions: asArray(o.ResolutionsAvailable).map(resolution).filter(Boolean),
+      frameRates: (attrList(o, 'FrameRatesSupported') || []).map(parseFloat),
+      frameRateRange: null,
+      govLengthRange: pairRange(attrList(o, 'GovLengthRange')),
+      profiles: attrList(o, 'ProfilesSupported') || [],
+      bitrateRange: range(o.BitrateRange)
+    }));
+  }
+  const o = (data && data.Options) || {};
+  const ext = o.Extension || {};
+  return ['JPEG', 'MPEG4', 'H264'].filter(enc => o[enc]).map(enc => {
+    const b = o[enc];
+    return {
+      encoding: enc,
+      qualityRange: range(o.QualityRange),
+      resolutions: asArray(b.ResolutionsAvailable).map(resolution).filter(Boolean),
+      frameRates: null,
+      frameRateRange: range(b.FrameRateRange),
+      govLengthRange: range(b.GovLengthRange),
+      profiles: asArray(b.H264ProfilesSupported || b.Mpeg4ProfilesSupported).map(text),
+      bitrateRange: range(ext[enc] && ext[enc].BitrateRange)
+    };
+  });
+}
+
+// { token, name, fixed, videoSource, videoEncoder (normalized), ptzConfiguration, ptzNode }
+function normalizeProfile(p) {
+  const cfg = p.Configurations || {};
+  const vs = cfg.VideoSource || p.VideoSourceConfiguration;
+  const ve = cfg.VideoEncoder || p.VideoEncoderConfiguration;
+  const ptz = cfg.PTZ || p.PTZConfiguration;
+  return {
+    token: attr(p, 'token'),
+    name: text(p.Name),
+    fixed: attr(p, 'fixed') === 'true',
+    videoSource: vs ? text(vs.SourceToken) : null,
+    videoEncoder: normalizeEncoderConfig(ve),
+    ptzConfiguration: attr(ptz, 'token'),
+    ptzNode: ptz ? text(ptz.NodeToken) : null
+  };
+}
+
+// Merged configuration against the camera's options (normalizeEncoderOptions); values the caller did not give
+// are checked too (a new codec may not offer the current resolution) and named as such. Fixes the spelling
+// of encoding / profile to the camera's.
+function checkEncoderOptions(next, given, options, media2) {
+  const fail = (field, flag, msg) => {
+    throw new OnvifArgumentError(`${msg}${field in given ? '' : ` – current value, set ${flag} as well`}`);
+  };
+  if (!media2 && /^H265$/i.test(next.encoding)) fail('encoding', 'codec', 'H265 needs Media2 (ver20/media), the camera only offers Media1');
+  const opt = options.find(o => String(o.encoding).toLowerCase() === String(next.encoding).toLowerCase());
+  if (!opt) {
+    if (!options.length) return;
+    fail('encoding', 'codec', `codec ${next.encoding} is not offered (available: ${options.map(o => o.encoding).join(', ')})`);
+  }
+  next.encoding = opt.encoding;
+  const inR = (v, r) => !r || r.min === null || r.max === null || (v >= r.min && v <= r.max);
+  if (next.resolution && opt.resolutions.length && !opt.resolutions.includes(next.resolution)) {
+    fail('resolution', 'resolution', `resolution ${next.resolution} is not available for ${opt.encoding} (available: ${opt.resolutions.join(', ')})`);
+  }
+  if (next.frameRate !== null && opt.frameRates && opt.frameRates.length && !opt.frameRates.includes(next.frameRate)) {
+    fail('frameRate', 'fps', `frame rate ${next.frameRate} is not supported for ${opt.encoding} (supported: ${opt.frameRates.join(', ')})`);
+  }
+  if (next.frameRate !== null && !inR(next.frameRate, opt.frameRateRange)) {
+    fail('frameRate', 'fps', `frame rate ${next.frameRate} is outside ${opt.frameRateRange.min}…${opt.frameRateRange.max} for ${opt.encoding}`);
+  }
+  if (next.quality !== null && !inR(next.quality, opt.qualityRange)) {
+    fail('quality', 'quality', `quality ${next.quality} is outside ${opt.qualityRange.min}…${opt.qualityRange.max}`);
+  }
+  if (next.bitrate !== null && !inR(next.bitrate, opt.bitrateRange)) {
+    fail('bitrate', 'bitrate', `bitrate ${next.bitrate} is outside ${opt.bitrateRange.min}…${opt.bitrateRange.max} kbps for ${opt.encoding}`);
+  }
+  if (next.govLength !== null && opt.govLengthRange && !inR(next.govLength, opt.govLengthRange)) {
+    fail('govLength', 'gop', `GOP length ${next.govLength} is outside ${opt.govLengthRange.min}…${opt.govLengthRange.max} for ${opt.encoding}`);
+  }
+  if (next.profile && opt.profiles.length) {
+    const p = opt.profiles.find(x => x.toLowerCase() === String(next.profile).toLowerCase());
+    if (!p) {
+      // a profile of the old codec does not carry over to a codec without profiles
+      if (!('profile' in given) && 'encoding' in given) next.profile = opt.profiles[0];
+      else fail('profile', 'profile', `profile ${next.profile} is not supported for ${opt.encoding} (supported: ${opt.profiles.join(', ')})`);
+    } else {
+      next.profile = p;
+    }
+  }
+}
+
+// tt:Multicast as returned (required by Media1; some cameras omit it – then "off")
+function multicastXml(m) {
+  const a = (m && m.Address) || {};
+  return `<tt:Multicast>
+          <tt:Address><tt:Type>${escapeXml(text(a.Type) || 'IPv4')}</tt:Type>${a.IPv6Address ? `<tt:IPv6Address>${escapeXml(text(a.IPv6Address))}</tt:IPv6Address>` : `<tt:IPv4Address>${escapeXml(text(a.IPv4Address) || '0.0.0.0')}</tt:IPv4Address>`}</tt:Address>
+          <tt:Port>${num(m && m.Port) || 0}</tt:Port>
+          <tt:TTL>${num(m && m.TTL) || 0}</tt:TTL>
+          <tt:AutoStart>${text(m && m.AutoStart) === 'true'}</tt:AutoStart>
+        </tt:Multicast>`;
+}
+
+// Media1 tt:VideoEncoderConfiguration (schema order), unchanged fields copied from the camera's answer
+function videoEncoder1Xml(raw, next) {
+  const [w, h] = next.resolution.split('x');
+  const rc = raw.RateControl || {};
+  const codec = next.encoding === 'H264' ? 'H264' : next.encoding === 'MPEG4' ? 'MPEG4' : null;
+  const guaranteed = attr(raw, 'GuaranteedFrameRate');
+  return `<trt:Configuration token="${escapeXml(attr(raw, 'token'))}"${guaranteed !== null ? ` GuaranteedFrameRate="${escapeXml(guaranteed)}"` : ''}>
+        <tt:Name>${escapeXml(text(raw.Name) || attr(raw, 'token'))}</tt:Name>
+        <tt:UseCount>${num(raw.UseCount) || 0}</tt:UseCount>
+        <tt:Encoding>${escapeXml(next.encoding)}</tt:Encoding>
+        <tt:Resolution><tt:Width>${w}</tt:Width><tt:Height>${h}</tt:Height></tt:Resolution>
+        <tt:Quality>${next.quality !== null ? next.quality : 0}</tt:Quality>
+        <tt:RateControl>
+          <tt:FrameRateLimit>${next.frameRate !== null ? next.frameRate : 0}</tt:FrameRateLimit>
+          <tt:EncodingInterval>${num(rc.EncodingInterval) || 1}</tt:EncodingInterval>
+          <tt:BitrateLimit>${next.bitrate !== null ? next.bitrate : 0}</tt:BitrateLimit>
+        </tt:RateControl>
+        ${codec ? `<tt:${codec}><tt:GovLength>${next.govLength || 1}</tt:GovLength><tt:${codec === 'H264' ? 'H264Profile' : 'Mpeg4Profile'}>${escapeXml(next.profile || (codec === 'H264' ? 'Main' : 'SP'))}</tt:${codec === 'H264' ? 'H264Profile' : 'Mpeg4Profile'}></tt:${codec}>` : ''}
+        ${multicastXml(raw.Multicast)}
+        <tt:SessionTimeout>${escapeXml(text(raw.SessionTimeout) || 'PT60S')}</tt:SessionTimeout>
+      </trt:Configuration>`;
+}
+
+// Media2 tt:VideoEncoder2Configuration: GovLength / Profile are attributes, Quality comes last
+function videoEncoder2Xml(raw, next) {
+  const [w, h] = next.resolution.split('x');
+  const rc = raw.RateControl || {};
+  const cbr = attr(rc, 'ConstantBitRate');
+  const guaranteed = attr(raw, 'GuaranteedFrameRate');
+  const attrs = [`token="${escapeXml(attr(raw, 'token'))}"`];
+  if (next.govLength !== null && !/^JPEG$/i.test(next.encoding)) attrs.push(`GovLength="${next.govLength}"`);
+  if (next.profile && !/^JPEG$/i.test(next.encoding)) attrs.push(`Profile="${escapeXml(next.profile)}"`);
+  if (guaranteed !== null) attrs.push(`GuaranteedFrameRate="${escapeXml(guaranteed)}"`);
+  return `<tr2:Configuration ${attrs.join(' ')}>
+        <tt:Name>${escapeXml(text(raw.Name) || attr(raw, 'token'))}</tt:Name>
+        <tt:UseCount>${num(raw.UseCount) || 0}</tt:UseCount>
+        <tt:Encoding>${escapeXml(next.encoding)}</tt:Encoding>
+        <tt:Resolution><tt:Width>${w}</tt:Width><tt:Height>${h}</tt:Height></tt:Resolution>
+        ${raw.RateControl || next.frameRate !== null || next.bitrate !== null ? `<tt:RateControl${cbr !== null ? ` ConstantBitRate="${escapeXml(cbr)}"` : ''}>
+          <tt:FrameRateLimit>${next.frameRate !== null ? next.frameRate : 0}</tt:FrameRateLimit>
+          <tt:BitrateLimit>${next.bitrate !== null ? next.bitrate : 0}</tt:BitrateLimit>
+        </tt:RateControl>` : ''}
+        ${raw.Multicast ? multicastXml(raw.Multicast) : ''}
+        <tt:Quality>${next.quality !== null ? next.quality : 0}</tt:Quality>
+      </tr2:Configuration>`;
+}
+
+// -------------------- PTZ spaces normalization --------------------
+
+// Space URIs in degrees (…/SphericalPositionSpaceDegrees, …/SphericalTranslationSpaceDegrees, vendor variants)
+const DEGREE_SPACE = /Degrees|Spherical/i;
+// vectorXml kind → group of ptzSpaces()
+const SPACE_GROUPS = { position: 'absolute', translation: 'relative', velocity: 'continuous', speed: 'speed' };
+
+// tt:PTZSpaces (GetNodes SupportedPTZSpaces / GetConfigurationOptions Spaces) →
+// { absolute, relative, continuous, speed: { panTilt: [{ uri, x: { min, max }, y }], zoom: [{ uri, x }] } }
+function ptzSpaces(s) {
+  s = s || {};
+  const list = v => asArray(v).map(e => ({ uri: text(e.URI), x: range(e.XRange), y: e.YRange ? range(e.YRange) : null }));
+  return {
+    absolute: { panTilt: list(s.AbsolutePanTiltPositionSpace), zoom: list(s.AbsoluteZoomPositionSpace) },
+    relative: { panTilt: list(s.RelativePanTiltTranslationSpace), zoom: list(s.RelativeZoomTranslationSpace) },
+    continuous: { panTilt: list(s.ContinuousPanTiltVelocitySpace), zoom: list(s.ContinuousZoomVelocitySpace) },
+    speed: { panTilt: list(s.PanTiltSpeedSpace), zoom: list(s.ZoomSpeedSpace) }
+  };
+}
+
+// Generic space of a list (the one sent without a space attribute)
+const genericSpace = spaces => (spaces || []).find(e => /Generic/i.test(e.uri || '')) || (spaces || []).find(e => !DEGREE_SPACE.test(e.uri || ''));
+
+// -------------------- Imaging normalization --------------------
+
+// tt:ImagingSettings20 → { brightness, contrast, colorSaturation, sharpness, irCutFilter,
+//   backlightCompensation: { mode, level }, wideDynamicRange: { mode, level },
+//   exposure: { mode, exposureTime, gain, iris }, focus: { autoFocusMode }, whiteBalance: { mode } }
+function normalizeImagingSettings(s) {
+  s = s || {};
+  const block = (b, fields) => (b ? Object.fromEntries(Object.entries(fields).map(([k, f]) => [k, f(b)])) : null);
+  return {
+    brightness: num(s.Brightness),
+    contrast: num(s.Contrast),
+    colorSaturation: num(s.ColorSaturation),
+    sharpness: num(s.Sharpness),
+    irCutFilter: text(s.IrCutFilter),
+    backlightCompensation: block(s.BacklightCompensation, { mode: b => text(b.Mode), level: b => num(b.Level) }),
+    wideDynamicRange: block(s.WideDynamicRange, { mode: b => text(b.Mode), level: b => num(b.Level) }),
+    exposure: block(s.Exposure, { mode: b => text(b.Mode), exposureTime: b => num(b.ExposureTime), gain: b => num(b.Gain), iris: b => num(b.Iris) }),
+    focus: block(s.Focus, { autoFocusMode: b => text(b.AutoFocusMode) }),
+    whiteBalance: block(s.WhiteBalance, { mode: b => text(b.Mode) })
+  };
+}
+
+// tt:ImagingOptions20 → ranges ({ min, max }) and mode lists
+function normalizeImagingOptions(o) {
+  o = o || {};
+  const modes = v => asArray(v).map(text);
+  const blc = o.BacklightCompensation, wdr = o.WideDynamicRange, ex = o.Exposure, fo = o.Focus;
+  return {
+    brightness: range(o.Brightness),
+    contrast: range(o.Contrast),
+    colorSaturation: range(o.ColorSaturation),
+    sharpness: range(o.Sharpness),
+    irCutFilterModes: modes(o.IrCutFilterModes),
+    backlightCompensation: blc ? { modes: modes(blc.Mode), level: range(blc.Level) } : null,
+    wideDynamicRange: wdr ? { modes: modes(wdr.Mode), level: range(wdr.Level) } : null,
+    exposure: ex ? { modes: modes(ex.Mode), exposureTime: range(ex.ExposureTime), gain: range(ex.Gain), iris: range(ex.Iris) } : null,
+    focus: fo ? { autoFocusModes: modes(fo.AutoFocusModes) } : null
+  };
+}
+
+// GetStreamUri protocols (Media2 names); Media1 gets the closest StreamSetup, RTSPS needs Media2
+const STREAM_PROTOCOLS = ['RtspUnicast', 'RtspMulticast', 'RTSP', 'RtspOverHttp', 'RTSPS'];
+const MEDIA1_STREAM_SETUP = {
+  RtspUnicast: ['RTP-Unicast', 'RTSP'],
+  RTSP: ['RTP-Unicast', 'RTSP'],
+  RtspMulticast: ['RTP-Multicast', 'UDP'],
+  RtspOverHttp: ['RTP-Unicast', 'HTTP']
+};
+
+class OnvifCamera extends EventEmitter {
+  /**
+   * opts: { host, port, user, pass, token (profile, default MainStreamProfileToken), quirks,
+   *         vendor (key of the special preset table, default: detected from GetDeviceInformation),
+   *         wakeup ('none'|'simple'|'full'), wakeupIdleMs (repeat wakeup after PTZ idle; default: once),
+   *         auth ('wsse' default | 'digest' | 'basic' | 'both' | 'auto': HTTP auth answer to a 401 challenge),
+   *         clockSync ('auto'|'first'|'off', see syncClock), timeOffsetMs (known camera clock offset),
+   *         keepAlive, log(level, msg) }
+   */
+  constructor(opts = {}) {
+    super();
+    if (!opts.host) throw new OnvifArgumentError('host is required');
+    this.host = String(opts.host);
+    this.port = opts.port ? String(opts.port) : '80';
+    this.token = opts.token || 'MainStreamProfileToken';
+    this.quirks = opts.quirks || {};
+    this.vendor = opts.vendor ? String(opts.vendor).toLowerCase() : null;
+    if (this.vendor && !vendors.VENDORS[this.vendor]) {
+      throw new OnvifArgumentError(`unknown vendor "${opts.vendor}" (known: ${Object.keys(vendors.VENDORS).join(', ')})`);
+    }
+    this.auth = opts.auth || 'wsse';
+    if (!AUTH_MODES[this.auth]) throw new OnvifArgumentError(`auth must be one of ${Object.keys(AUTH_MODES).join(', ')} (got "${opts.auth}")`);
+    this.clockSync = opts.clockSync || 'auto';
+    this._clockSynced = false;
+    this.wakeup = opts.wakeup || 'none';
+    this.wakeupIdleMs = opts.wakeupIdleMs || Infinity;
+    this.log = opts.log || (() => {});
+    this.soap = createSoapClient({
+      host: this.host, port: this.port, user: opts.user, pass: opts.pass,
+      quirks: this.quirks, keepAlive: !!opts.keepAlive, timeOffsetMs: opts.timeOffsetMs, auth: this.auth,
+      onAuth: (name) => {
+        this.log('debug', `[AUTH] camera answered 401; using --auth=${name} from now on (set it to skip the extra round trip)`);
+        this.emit('auth', name);
+      }
+    });
+    this._queue = Promise.resolve();
+    this._lastPtzAt = null;
+  }
+
+  // Discovered XAddrs { media1, media2, ptz, events } (cached per instance)
+  async getServices() {
+    const d = this.soap.discovery;
+    if (!(d.media1 || d.media2 || d.ptz || d.events || d.imaging)) {
+      try {
+        await this.soap.discover();
+      } catch (e) {
+        throw new OnvifConnectionError(`Discovery failed: ${e.message}`, { cause: e });
+      }
+      this.log('debug', `[DISCOVERY] ${JSON.stringify(d)}`);
+    }
+    return Object.assign({}, d);
+  }
+
+  close() {
+    this.soap.close();
+  }
+
+  // -------------------- SOAP plumbing --------------------
+
+  _enqueue(fn) {
+    const p = this._queue.then(fn);
+    this._queue = p.catch(() => {});
+    return p;
+  }
+
+  // One exchange, outside the queue. Resolves { name, data, xml }.
+  async _send(svc, action, body) {
+    return this._withClockSync(() => this._sendOnce(svc, action, body));
+  }
+
+  async _sendOnce(svc, action, body) {
+    await this.getServices();
+    const service = svc === 'MEDIA' ? (this.soap.discovery.media2 ? 'MEDIA2' : 'MEDIA1') : svc;
+    const url = this.soap.serviceUrl(service);
+    this.emit('request', { service: svc, action, url, body });
+    let resp;
+    try {
+      resp = await this.soap.call(svc, action, body);
+    } catch (e) {
+      // endpoints may have moved (reboot, firmware update): rediscover on the next call
+      this.soap.resetDiscovery();
+      throw new OnvifConnectionError(`HTTP/SOAP error on ${action}: ${e.message}`, { action, cause: e });
+    }
+    const fault = parseFault(resp.body);
+    let name = null, data = null;
+    if (!fault) {
+      try {
+        const result = await parseXml(resp.body);
+        const env = (result.Envelope && result.Envelope.Body) || result.Body || result;
+        name = Object.keys(env)[0] || null;
+        data = name ? stripXmlns(env[name]) : null;
+      } catch (e) {
+        if (resp.statusCode < 400) throw new OnvifFaultError(`Failed to parse XML of ${action}: ${e.message}`, { action, statusCode: resp.statusCode, xml: resp.body, category: 'device' });
+      }
+    }
+    this.emit('response', { service: svc, action, url, statusCode: resp.statusCode, xml: resp.body, name, data });
+    if (fault || resp.statusCode >= 400) throw faultError(action, resp.statusCode, resp.body);
+    return { name, data, xml: resp.body };
+  }
+
+  // -------------------- Clock skew --------------------
+
+  /**
+   * WS-Security digests carry a Created timestamp; cameras reject it when their clock is off by more
+   * than a few minutes. clockSync 'first' measures the offset before the first call, 'auto' only after
+   * a NotAuthorized-type fault (then retries once), 'off' never. Both need no credentials.
+   */
+  async _withClockSync(fn) {
+    if (this.clockSync === 'first' && !this._clockSynced) {
+      try { await this.syncClock(); } catch (e) { this.log('debug', `[CLOCK] sync failed: ${e.message}`); }
+    }
+    try {
+      return await fn();
+    } catch (e) {
+      if (!(e instanceof OnvifFaultError) || e.category !== 'auth' || this.clockSync === 'off' || this._clockSynced) throw e;
+      const before = this.soap.getTimeOffset();
+      try {
+        await this.syncClock();
+      } catch (syncErr) {
+        this.log('debug', `[CLOCK] sync failed: ${syncErr.message}`);
+        throw e;
+      }
+      // same offset as before: not a clock problem
+      if (Math.abs(this.soap.getTimeOffset() - before) < 1000) throw e;
+      // endpoints found with a rejected header may be the defaults: look again
+      this.soap.resetDiscovery();
+      return fn();
+    }
+  }
+
+  /**
+   * Unauthenticated Device:GetSystemDateAndTime → offset of the camera clock (UTC) to the local clock.
+   * Following WS-Security headers are stamped in camera time. Resolves { offsetMs, cameraTime }.
+   */
+  async syncClock() {
+    this._clockSynced = true;
+    const url = this.soap.serviceUrl('DEVICE');
+    const xml = `<s:Envelope xmlns:s="http://www.w3.org/2003/05/soap-envelope">
+  <s:Body><tds:GetSystemDateAndTime xmlns:tds="http://www.onvif.org/ver10/device/wsdl"/></s:Body>
+</s:Envelope>`;
+    this.emit('request', { service: 'DEVICE', action: 'GetSystemDateAndTime (unauthenticated)', url, body: xml });
+    const sent = Date.now();
+    let resp;
+    try {
+      resp = await this.soap.post(url, xml, { action: 'http://www.onvif.org/ver10/device/wsdl/GetSystemDateAndTime' });
+    } catch (e) {
+      throw new OnvifConnectionError(`GetSystemDateAndTime failed: ${e.message}`, { action: 'GetSystemDateAndTime', cause: e });
+    }
+    const received = Date.now();
+    this.emit('response', { service: 'DEVICE', action: 'GetSystemDateAndTime (unauthenticated)', url, statusCode: resp.statusCode, xml: resp.body, name: null, data: null });
+    if (parseFault(resp.body) || resp.statusCode >= 400) throw faultError('GetSystemDateAndTime', resp.statusCode, resp.body);
+    const result = await parseXml(resp.body).catch(() => null);
+    const body = (result && result.Envelope && result.Envelope.Body) || {};
+    const sdt = (body.GetSystemDateAndTimeResponse || {}).SystemDateAndTime || {};
+    const cameraTime = utcFromOnvif(sdt.UTCDateTime);
+    if (!cameraTime) throw new OnvifFaultError('GetSystemDateAndTime: no UTCDateTime in the response', { action: 'GetSystemDateAndTime', xml: resp.body, category: 'device' });
+    // the camera read its clock about halfway through the round trip; it reports whole seconds
+    const offsetMs = new Date(cameraTime).getTime() - Math.round((sent + received) / 2);
+    this._setClockOffset(offsetMs);
+    return { offsetMs, cameraTime };
+  }
+
+  // Emits 'clockOffset' (ms) so callers can keep it between runs (timeOffsetMs option)
+  _setClockOffset(offsetMs) {
+    this.soap.setTimeOffset(offsetMs);
+    if (Math.abs(offsetMs) >= 5000) {
+      this.log('info', `[CLOCK] camera clock is ${Math.round(Math.abs(offsetMs) / 1000)} s ${offsetMs > 0 ? 'ahead' : 'behind'}; signing in camera time`);
+    }
+    this.emit('clockOffset', offsetMs);
+  }
+
+  // Queued call of any service; resolves the response element
+  async call(svc, action, body) {
+    const r = await this._enqueue(() => this._send(svc, action, body));
+    return r.data;
+  }
+
+  // PTZ calls run the wakeup sequence first (once, or again after wakeupIdleMs without PTZ)
+  _ptz(action, body, fn) {
+    return this._enqueue(async () => {
+      if (this.wakeup !== 'none' && (this._lastPtzAt === null || Date.now() - this._lastPtzAt > this.wakeupIdleMs)) {
+        await this._wakeup();
+      }
+      const r = fn ? await fn() : await this._send('PTZ', action, body);
+      this._lastPtzAt = Date.now();
+      return r.data;
+    });
+  }
+
+  async _wakeup() {
+    const presets = `<tptz:GetPresets xmlns:tptz="http://www.onvif.org/ver20/ptz/wsdl"><ProfileToken>${escapeXml(this.token)}</ProfileToken></tptz:GetPresets>`;
+    const steps = this.wakeup === 'full'
+      ? [['GetNodes', '<tptz:GetNodes xmlns:tptz="http://www.onvif.org/ver20/ptz/wsdl"/>'],
+         ['GetConfigurations', '<tptz:GetConfigurations xmlns:tptz="http://www.onvif.org/ver20/ptz/wsdl"/>'],
+         ['GetPresets', presets]]
+      : [['GetPresets', presets]];
+    this.log('debug', this.wakeup === 'full'
+      ? '[WAKEUP] Sending Wake-up Sequence (GetNodes, GetConfigurations, GetPresets)…'
+      : '[WAKEUP_SIMPLE] Sending GetPresets...');
+    this._lastPtzAt = Date.now();
+    for (const [action, body] of steps) {
+      await this._send('PTZ', action, body);
+      await sleep(WAKEUP_SLEEP_MS);
+    }
+  }
+
+  _profile(token) {
+    return escapeXml(this._profileToken(token));
+  }
+
+  _profileToken(token) {
+    return referenceToken(token || this.token, 'profile token');
+  }
+
+  // -------------------- PTZ --------------------
+
+  // velocity: { pan, tilt } and/or { zoom }; keeps moving until stop()
+  // opts.clamp: fit the values into the camera's advertised ranges (warning) instead of rejecting them
+  async continuousMove(velocity, token, { clamp } = {}) {
+    const xml = await this._vectorXml(velocity, 'velocity', { clamp, token });
+    return this._ptz('ContinuousMove', `<tptz:ContinuousMove xmlns:tptz="http://www.onvif.org/ver20/ptz/wsdl">
+      <ProfileToken>${this._profile(token)}</ProfileToken>
+      <Velocity>
+        ${xml}
+      </Velocity>
+    </tptz:ContinuousMove>`);
+  }
+
+  async stop({ panTilt = true, zoom = true } = {}, token) {
+    return this._ptz('Stop', `<tptz:Stop xmlns:tptz="http://www.onvif.org/ver20/ptz/wsdl">
+      <ProfileToken>${this._profile(token)}</ProfileToken>
+      <PanTilt>${!!panTilt}</PanTilt><Zoom>${!!zoom}</Zoom>
+    </tptz:Stop>`);
+  }
+
+  // opts: { speed (0…1, default: the camera's), units ('generic' -1…1 | 'degrees' pan/tilt), clamp (see continuousMove) }
+  async absoluteMove(position, token, opts = {}) {
+    const xml = await this._vectorXml(position, 'position', Object.assign({}, opts, { token }));
+    const speed = await this._speedXml(opts.speed, { clamp: opts.clamp, token });
+    return this._ptz('AbsoluteMove', `<tptz:AbsoluteMove xmlns:tptz="http://www.onvif.org/ver20/ptz/wsdl">
+      <ProfileToken>${this._profile(token)}</ProfileToken>
+      <Position>
+        ${xml}
+      </Position>${speed}
+    </tptz:AbsoluteMove>`);
+  }
+
+  // opts as absoluteMove; degrees are a step (+10 = 10° right / up)
+  async relativeMove(translation, token, opts = {}) {
+    const xml = await this._vectorXml(translation, 'translation', Object.assign({}, opts, { token }));
+    const speed = await this._speedXml(opts.speed, { clamp: opts.clamp, token });
+    return this._ptz('RelativeMove', `<tptz:RelativeMove xmlns:tptz="http://www.onvif.org/ver20/ptz/wsdl">
+      <ProfileToken>${this._profile(token)}</ProfileToken>
+      <Translation>
+        ${xml}
+      </Translation>${speed}
+    </tptz:RelativeMove>`);
+  }
+
+  async gotoHomePosition(token) {
+    return this._ptz('GotoHomePosition', `<tptz:GotoHomePosition xmlns:tptz="http://www.onvif.org/ver20/ptz/wsdl">
+      <ProfileToken>${this._profile(token)}</ProfileToken>
+    </tptz:GotoHomePosition>`);
+  }
+
+  // Some firmwares answer "NoToken" until the preset list was read once: GetPresets, wait, retry once.
+  // opts.speed: 0…1 for pan, tilt and zoom (default: the camera's preset speed); opts.clamp: see continuousMove
+  // confirm: send a preset the camera's vendor uses as a destructive code (e.g. Ctronics 115 = PTZ reset)
+  async gotoPreset(preset, token, { speed, clamp, confirm } = {}) {
+    referenceToken(preset, 'preset token');
+    if (!confirm) await this._refuseDestructivePreset(preset);
+    const body = `<tptz:GotoPreset xmlns:tptz="http://www.onvif.org/ver20/ptz/wsdl">
+      <ProfileToken>${this._profile(token)}</ProfileToken>
+      <PresetToken>${escapeXml(preset)}</PresetToken>${await this._speedXml(speed, { clamp, token })}
+    </tptz:GotoPreset>`;
+    return this._ptz('GotoPreset', body, async () => {
+      try {
+        return await this._send('PTZ', 'GotoPreset', body);
+      } catch (e) {
+        if (!(e instanceof OnvifFaultError) || !/NoToken|preset token does not exist/i.test(e.xml || e.message)) throw e;
+        this.log('info', '[AUTO] Preset token not found → requesting GetPresets list…');
+        await this._send('PTZ', 'GetPresets', `<tptz:GetPresets xmlns:tptz="http://www.onvif.org/ver20/ptz/wsdl"><ProfileToken>${this._profile(token)}</ProfileToken></tptz:GetPresets>`);
+        await sleep(WAKEUP_SLEEP_MS);
+        this.log('info', '[AUTO] Retrying original goto command…');
+        return this._send('PTZ', 'GotoPreset', body);
+      }
+    });
+  }
+
+  // Resolves the new preset token
+  // presetToken: overwrite that preset (stores the current position) instead of creating a new one
+  async setPreset(name, token, presetToken) {
+    required(name, 'preset name');
+    if (String(name).length > 64) throw new OnvifArgumentError('preset name is longer than 64 characters');
+    if (presetToken !== undefined) referenceToken(presetToken, 'preset token');
+    const data = await this._ptz('SetPreset', `<tptz:SetPreset xmlns:tptz="http://www.onvif.org/ver20/ptz/wsdl">
+      <ProfileToken>${this._profile(token)}</ProfileToken>
+      <PresetName>${escapeXml(name)}</PresetName>${presetToken !== undefined ? `
+      <PresetToken>${escapeXml(presetToken)}</PresetToken>` : ''}
+    </tptz:SetPreset>`);
+    return (data && data.PresetToken) || null;
+  }
+
+  async removePreset(preset, token) {
+    referenceToken(preset, 'preset token');
+    return this._ptz('RemovePreset', `<tptz:RemovePreset xmlns:tptz="http://www.onvif.org/ver20/ptz/wsdl">
+      <ProfileToken>${this._profile(token)}</ProfileToken>
+      <PresetToken>${escapeXml(preset)}</PresetToken>
+    </tptz:RemovePreset>`);
+  }
+
+  // [{ token, name, pan, tilt, zoom }] (position null when the camera does not report it)
+  async getPresets(token) {
+    const data = await this._ptz('GetPresets', `<tptz:GetPresets xmlns:tptz="http://www.onvif.org/ver20/ptz/wsdl">
+      <ProfileToken>${this._profile(token)}</ProfileToken>
+    </tptz:GetPresets>`);
+    return asArray(data && data.Preset).map(p => {
+      const pos = p.PTZPosition || {};
+      return {
+        token: (p.$ && p.$.token) || null,
+        name: typeof p.Name === 'string' ? p.Name : null,
+        pan: attrNum(pos.PanTilt, 'x'),
+        tilt: attrNum(pos.PanTilt, 'y'),
+        zoom: attrNum(pos.Zoom, 'x')
+      };
+    });
+  }
+
+  // Preset by token, else by name (case-insensitive); OnvifArgumentError when the camera has neither
+  async findPreset(tokenOrName, token) {
+    return matchPreset(await this.getPresets(token), tokenOrName);
+  }
+
+  // Preset by name only, fuzzy (see matchPresetName); OnvifArgumentError listing the candidates when nothing matches
+  async findPresetByName(name, token) {
+    return matchPresetName(await this.getPresets(token), name);
+  }
+
+  /**
+   * Preset names with their PTZ positions, for importPresets() on this or a replacement camera.
+   * Resolves { exportedAt, device: { manufacturer, model, serialNumber }, profile, presets: [{ token, name, pan, tilt, zoom }] }
+   */
+  async exportPresets(token) {
+    const presets = await this.getPresets(token);
+    const info = await this.getDeviceInformation().catch(() => ({}));
+    return {
+      exportedAt: new Date().toISOString(),
+      device: { manufacturer: info.manufacturer || null, model: info.model || null, serialNumber: info.serialNumber || null },
+      profile: this._profile(token),
+      presets
+    };
+  }
+
+  /**
+   * Recreate exported presets: AbsoluteMove to the stored position, wait until the camera is there, SetPreset with the name.
+   * exported: exportPresets() result or its presets array. A preset whose name already exists is skipped, or
+   * overwritten in place with opts.overwrite; presets exported without a position are skipped.
+   * opts: { overwrite, dryRun (plan only), waitTimeoutMs (see waitForIdle), token }
+   * Resolves [{ name, from (exported token), action: 'create'|'update'|'skip', token (new / overwritten), reason, error }];
+   * faults of a single preset are reported in its entry, connection errors reject.
+   */
+  async importPresets(exported, opts = {}) {
+    const list = Array.isArray(exported) ? exported : exported && exported.presets;
+    if (!Array.isArray(list)) throw new OnvifArgumentError('import needs a presets array (export_presets output)');
+    const existing = await this.getPresets(opts.token);
+    const plan = list.map(p => {
+      const entry = { name: p && p.name ? String(p.name) : null, from: p && p.token !== undefined ? p.token : null, action: 'create', token: null };
+      const panTilt = p && Number.isFinite(p.pan) && Number.isFinite(p.tilt);
+      const zoom = p && Number.isFinite(p.zoom);
+      const same = entry.name && existing.find(e => (e.name || '').toLowerCase() === entry.name.toLowerCase());
+      if (!entry.name) Object.assign(entry, { action: 'skip', reason: 'no name' });
+      else if (!panTilt && !zoom) Object.assign(entry, { action: 'skip', reason: 'no position exported' });
+      else if (same && !opts.overwrite) Object.assign(entry, { action: 'skip', token: same.token, reason: 'name exists (overwrite to replace it)' });
+      else if (same) Object.assign(entry, { action: 'update', token: same.token });
+      entry.position = panTilt || zoom
+        ? Object.assign(panTilt ? { pan: p.pan, tilt: p.tilt } : {}, zoom ? { zoom: p.zoom } : {})
+        : null;
+      return entry;
+    });
+    if (opts.dryRun) return plan;
+    let canWait = true;
+    for (const entry of plan) {
+      if (entry.action === 'skip') continue;
+      try {
+        this.log('debug', `[IMPORT] ${entry.name} → ${JSON.stringify(entry.position)}`);
+        await this.absoluteMove(entry.position, opts.token);
+        if (canWait) {
+          try {
+            await this.waitForIdle({ timeoutMs: opts.waitTimeoutMs, token: opts.token });
+          } catch (e) {
+            if (!(e instanceof OnvifFaultError) || e.category !== 'not_supported') throw e;
+            canWait = false;
+          }
+        }
+        if (!canWait) await sleep(IMPORT_SETTLE_MS);
+        const created = await this.setPreset(entry.name, opts.token, entry.action === 'update' ? entry.token : undefined);
+        entry.token = created || entry.token;
+      } catch (e) {
+        if (e instanceof OnvifConnectionError && !e.ptzStatus) throw e;
+        entry.error = e.message;
+      }
+    }
+    return plan;
+  }
+
+  // { pan, tilt, zoom, moveStatus, panTiltStatus, zoomStatus, utcTime, error }
+  async getStatus(token) {
+    const data = await this._ptz('GetStatus', `<tptz:GetStatus xmlns:tptz="http://www.onvif.org/ver20/ptz/wsdl">
+      <ProfileToken>${this._profile(token)}</ProfileToken>
+    </tptz:GetStatus>`);
+    const st = (data && data.PTZStatus) || {};
+    const pos = st.Position || {};
+    const ms = st.MoveStatus || {};
+    const panTiltStatus = text(ms.PanTilt);
+    const zoomStatus = text(ms.Zoom);
+    const all = [panTiltStatus, zoomStatus].filter(Boolean).map(s => s.toUpperCase());
+    return {
+      pan: attrNum(pos.PanTilt, 'x'),
+      tilt: attrNum(pos.PanTilt, 'y'),
+      zoom: attrNum(pos.Zoom, 'x'),
+      moveStatus: all.includes('MOVING') ? 'MOVING' : (all.length ? all[0] : null),
+      panTiltStatus,
+      zoomStatus,
+      utcTime: text(st.UtcTime),
+      error: text(st.Error)
+    };
+  }
+
+  /**
+   * Poll GetStatus until the last move has finished: MoveStatus IDLE on two polls in a row at the same position,
+   * or – cameras that do not report MoveStatus – the position unchanged within tolerance on three polls in a row.
+   * Either only counts once the camera was seen moving (position changed since the first poll, or MOVING) or after
+   * settleMs, so a move that has not started yet is not taken for finished.
+   * opts: { timeoutMs (default 30000), intervalMs (default 300), tolerance (default 0.001), settleMs (default 1500),
+   *         signal (AbortSignal), token }
+   * Resolves the last getStatus() result plus waitedMs (and aborted: true when the signal fired); rejects with OnvifConnectionError (.ptzStatus: last status) on timeout.
+   */
+  async waitForIdle(opts = {}) {
+    const timeoutMs = opts.timeoutMs === undefined ? WAIT_TIMEOUT_MS : inRange(opts.timeoutMs, 'wait timeout (ms)', 0, 3600000);
+    const intervalMs = opts.intervalMs === undefined ? WAIT_POLL_MS : inRange(opts.intervalMs, 'poll interval (ms)', 50, 60000);
+    const tolerance = opts.tolerance === undefined ? WAIT_TOLERANCE : inRange(opts.tolerance, 'wait tolerance', 0, 1);
+    const settleMs = opts.settleMs === undefined ? WAIT_SETTLE_MS : inRange(opts.settleMs, 'settle time (ms)', 0, 60000);
+    const same = (a, b) => ['pan', 'tilt', 'zoom'].every(k => a[k] === null || b[k] === null || Math.abs(a[k] - b[k]) <= tolerance);
+    const started = Date.now();
+    let first = null, prev = null, stable = 0, moved = false;
+    for (;;) {
+      await sleep(intervalMs);
+      const st = await this.getStatus(opts.token);
+      const hasPosition = st.pan !== null || st.tilt !== null || st.zoom !== null;
+      if (!st.moveStatus && !hasPosition) {
+        throw new OnvifFaultError('Camera reports neither MoveStatus nor position in GetStatus – cannot wait for the move to finish',
+          { action: 'GetStatus', category: 'not_supported' });
+      }
+      stable = prev && same(prev, st) && st.moveStatus !== 'MOVING' ? stable + 1 : 0;
+      if (!first) first = st;
+      if (st.moveStatus === 'MOVING' || !same(first, st)) moved = true;
+      prev = st;
+      const waitedMs = Date.now() - started;
+      if (opts.signal && opts.signal.aborted) return Object.assign(st, { waitedMs, aborted: true });
+      const settled = (st.moveStatus === 'IDLE' && stable >= 1) || (!st.moveStatus && stable >= 2);
+      if (settled && (moved || waitedMs >= settleMs)) return Object.assign(st, { waitedMs });
+      if (waitedMs >= timeoutMs) {
+        throw new OnvifConnectionError(`PTZ still ${st.moveStatus === 'MOVING' ? 'moving' : 'not settled'} after ${(waitedMs / 1000).toFixed(1)} s`
+          + ` (pan ${st.pan}, tilt ${st.tilt}, zoom ${st.zoom})`, { action: 'GetStatus', ptzStatus: st });
+      }
+    }
+  }
+
+  async getConfigurations() {
+    return this._ptz('GetConfigurations', '<tptz:GetConfigurations xmlns:tptz="http://www.onvif.org/ver20/ptz/wsdl"/>');
+  }
+
+  async getConfigurationOptions(configurationToken) {
+    return this._ptz('GetConfigurationOptions', `<tptz:GetConfigurationOptions xmlns:tptz="http://www.onvif.org/ver20/ptz/wsdl">
+      <ConfigurationToken>${this._profile(configurationToken)}</ConfigurationToken>
+    </tptz:GetConfigurationOptions>`);
+  }
+
+  async getNodes() {
+    return this._ptz('GetNodes', '<tptz:GetNodes xmlns:tptz="http://www.onvif.org/ver20/ptz/wsdl"/>');
+  }
+
+  /**
+   * Coordinate spaces the camera advertises, with their ranges (see ptzSpaces): GetNodes (first node with
+   * SupportedPTZSpaces), else GetConfigurationOptions of the profile's PTZ configuration. Cached; null when neither answers.
+   */
+  async getPtzSpaces(token) {
+    if (this._ptzSpaces !== undefined) return this._ptzSpaces;
+    let spaces = null;
+    try {
+      const node = asArray((await this.getNodes() || {}).PTZNode).find(n => n.SupportedPTZSpaces);
+      if (node) spaces = node.SupportedPTZSpaces;
+    } catch (e) {
+      if (!(e instanceof OnvifFaultError)) throw e;
+    }
+    if (!spaces) {
+      try {
+        const profile = this._profileToken(token);
+        const p = asArray((await this.getProfiles() || {}).Profiles).map(normalizeProfile).find(x => x.token === profile);
+        const opts = p && p.ptzConfiguration ? (await this.getConfigurationOptions(p.ptzConfiguration) || {}).PTZConfigurationOptions : null;
+        if (opts && opts.Spaces) spaces = opts.Spaces;
+      } catch (e) {
+        if (!(e instanceof OnvifFaultError)) throw e;
+      }
+    }
+    this._ptzSpaces = spaces ? ptzSpaces(spaces) : null;
+    this.log('debug', `[SPACES] ${spaces ? JSON.stringify(this._ptzSpaces) : 'camera advertises no PTZ spaces – generic ranges apply'}`);
+    return this._ptzSpaces;
+  }
+
+  /**
+   * Whether _fitVector has to look up the PTZ spaces for this vector: for degrees (pan/tilt given), for clamp only
+   * when a value is outside the generic range of its kind (inside it the camera is asked nothing).
+   */
+  needsPtzSpaces(vector, kind, { units = 'generic', clamp = false } = {}) {
+    if (units !== 'generic' && (vector.pan !== undefined || vector.tilt !== undefined)) return true;
+    if (!clamp) return false;
+    const r = VECTOR_RANGES[kind];
+    return ['pan', 'tilt', 'zoom'].some(axis => {
+      if (vector[axis] === undefined) return false;
+      const v = number(vector[axis], axis);
+      return v < r[axis][0] || v > r[axis][1];
+    });
+  }
+
+  /**
+   * Move vector in the space to send: degrees (units 'degrees': the camera's degree space, else mapped onto the
+   * generic space with quirks.pan_degrees / tilt_degrees: [min, max]) and / or clamped to the advertised ranges.
+   * Resolves { vector, spaces: { panTilt, zoom } (space URIs for vectorXml), clamped: [{ axis, from, to }] }.
+   */
+  async _fitVector(vector, kind, { units = 'generic', clamp = false, token } = {}) {
+    units = oneOf(units, 'units', ['generic', 'degrees']);
+    const out = Object.assign({}, vector);
+    const spaces = {};
+    const clamped = [];
+    const panTilt = out.pan !== undefined || out.tilt !== undefined;
+    if (!this.needsPtzSpaces(vector, kind, { units, clamp })) return { vector: out, spaces, clamped };
+    ['pan', 'tilt', 'zoom'].forEach(axis => { if (out[axis] !== undefined) out[axis] = number(out[axis], axis); });
+    const group = ((await this.getPtzSpaces(token)) || {})[SPACE_GROUPS[kind]] || { panTilt: [], zoom: [] };
+    const generic = genericSpace(group.panTilt);
+    const fallback = { x: { min: VECTOR_RANGES[kind].pan[0], max: VECTOR_RANGES[kind].pan[1] }, y: { min: VECTOR_RANGES[kind].tilt[0], max: VECTOR_RANGES[kind].tilt[1] } };
+    let ptSpace = generic || fallback;
+    if (units === 'degrees' && panTilt) {
+      if (kind !== 'position' && kind !== 'translation') throw new OnvifArgumentError('degrees are only supported for absolute and relative moves');
+      if (out.pan === undefined || out.tilt === undefined) throw new OnvifArgumentError('degrees need both pan and tilt');
+      const degrees = group.panTilt.find(e => DEGREE_SPACE.test(e.uri || '') && e.x);
+      const [pd, td] = [this.quirks.pan_degrees, this.quirks.tilt_degrees];
+      if (degrees) {
+        ptSpace = degrees;
+        spaces.panTilt = degrees.uri;
+        // a full turn (0…360, -180…180): -10° is 350°
+        const { min, max } = degrees.x;
+        if (kind === 'position' && max - min >= 359 && (out.pan < min || out.pan > max)) out.pan = ((out.pan - min) % 360 + 360) % 360 + min;
+      } else if (Array.isArray(pd) && Array.isArray(td)) {
+        const toGeneric = (v, [dMin, dMax], { min, max }) => (kind === 'position'
+          ? min + (v - dMin) * (max - min) / (dMax - dMin)
+          : v * (max - min) / (dMax - dMin));
+        const round = v => Math.round(v * 1e6) / 1e6;
+        out.pan = round(toGeneric(out.pan, pd, ptSpace.x));
+        out.tilt = round(toGeneric(out.tilt, td, ptSpace.y || fallback.y));
+      } else {
+        throw new OnvifArgumentError(`camera advertises no degree space (${group.panTilt.map(e => e.uri).join(', ') || 'none'}); `
+          + 'set quirks pan_degrees / tilt_degrees: [min, max] in the inventory or use generic values');
+      }
+    }
+    if (clamp) {
+      const fit = (axis, r) => {
+        if (out[axis] === undefined || !r || r.min === null || r.max === null) return;
+        const v = out[axis];
+        const to = Math.min(r.max, Math.max(r.min, v));
+        if (to !== v) clamped.push({ axis, from: v, to });
+        out[axis] = to;
+      };
+      fit('pan', ptSpace.x);
+      fit('tilt', ptSpace.y || fallback.y);
+      const zoomSpace = genericSpace(group.zoom);
+      fit('zoom', zoomSpace ? zoomSpace.x : { min: VECTOR_RANGES[kind].zoom[0], max: VECTOR_RANGES[kind].zoom[1] });
+      clamped.forEach(c => this.log('warn', `[CLAMP] ${kind} ${c.axis} ${c.from} → ${c.to} (outside the camera's range)`));
+    }
+    return { vector: out, spaces, clamped };
+  }
+
+  async _vectorXml(vector, kind, opts) {
+    const fitted = await this._fitVector(vector, kind, opts);
+    return vectorXml(fitted.vector, kind, fitted.spaces);
+  }
+
+  // <Speed> of Absolute/Relative/GotoPreset: the same 0…1 for pan, tilt and zoom; '' without speed
+  async _speedXml(speed, { clamp, token } = {}) {
+    if (speed === undefined) return '';
+    return `
+      <Speed>${await this._vectorXml({ pan: speed, tilt: speed, zoom: speed }, 'speed', { clamp, token })}</Speed>`;
+  }
+
+  // -------------------- Vendor special presets --------------------
+
+  // Vendor key (opts.vendor, else detected from GetDeviceInformation and cached); null when unknown
+  async detectVendor() {
+    if (this.vendor) return this.vendor;
+    if (this._detectedVendor === undefined) {
+      const info = await this.getDeviceInformation();
+      this._detectedVendor = vendors.detectVendor(info);
+      this._vendorDevice = `${info.manufacturer || '?'} ${info.model || '?'}`;
+      this.log('debug', `[VENDOR] ${this._vendorDevice} → ${this._detectedVendor || 'unknown'}`);
+    }
+    return this._detectedVendor;
+  }
+
+  // Raw GotoPreset of a destructive vendor code; GetDeviceInformation is only asked for tokens that are one somewhere
+  async _refuseDestructivePreset(preset) {
+    if (!vendors.isDestructivePreset(null, preset)) return;
+    let vendor;
+    try {
+      vendor = await this.detectVendor();
+    } catch (e) {
+      if (!(e instanceof OnvifFaultError)) throw e;
+      this.log('debug', `[VENDOR] not detected (${e.message})`);
+      return;
+    }
+    if (vendor && vendors.isDestructivePreset(vendor, preset)) {
+      throw new OnvifArgumentError(`preset ${preset} is destructive on ${vendors.VENDORS[vendor].name} cameras (see list_features); add --confirm to send it`);
+    }
+  }
+
+  /**
+   * Named vendor feature (tracking on/off, alarm lights, cruise …) sent as its special preset sequence.
+   * opts: { vendor (overrides opts.vendor / detection), value (for X steps), confirm (required for destructive features),
+   *         dryRun (resolve only) }
+   * Resolves { vendor, feature, state, destructive, steps: [{ op: 'call'|'set', preset }], sent }
+   */
+  async feature(name, state, opts = {}) {
+    required(name, 'feature name');
+    let vendor = opts.vendor ? String(opts.vendor).toLowerCase() : null;
+    if (!vendor) {
+      vendor = await this.detectVendor();
+      if (!vendor) {
+        throw new OnvifArgumentError(`vendor of "${this._vendorDevice}" not known; set it with --vendor (${Object.keys(vendors.VENDORS).join(', ')})`);
+      }
+    }
+    let plan;
+    try {
+      plan = vendors.featureSteps(vendor, String(name), state, opts.value);
+    } catch (e) {
+      throw new OnvifArgumentError(e.message);
+    }
+    if (plan.destructive && !opts.confirm && !opts.dryRun) {
+      throw new OnvifArgumentError(`${plan.vendor} ${plan.feature} is destructive (${plan.steps.map(st => st.preset).join(', ')}); add --confirm to send it`);
+    }
+    if (opts.dryRun) return Object.assign(plan, { sent: false });
+    for (let i = 0; i < plan.steps.length; i++) {
+      if (i) await sleep(FEATURE_STEP_SLEEP_MS);
+      const { op, preset } = plan.steps[i];
+      if (op === 'set') await this.setPreset(preset, undefined, preset);
+      else await this.gotoPreset(preset, undefined, { confirm: true });
+    }
+    return Object.assign(plan, { sent: true });
+  }
+
+  // -------------------- Media --------------------
+
+  // Media2 when the camera offers it, else Media1 (discovery already leaves Media2 out with quirks.no_media2)
+  async _media2() {
+    await this.getServices();
+    return !!this.soap.discovery.media2;
+  }
+
+  // Raw GetProfiles response (Media2: with all configurations)
+  async getProfiles() {
+    return (await this._media2())
+      ? this.call('MEDIA2', 'GetProfiles', '<tr2:GetProfiles xmlns:tr2="http://www.onvif.org/ver20/media/wsdl"><tr2:Type>All</tr2:Type></tr2:GetProfiles>')
+      : this.call('MEDIA1', 'GetProfiles', '<trt:GetProfiles xmlns:trt="http://www.onvif.org/ver10/media/wsdl"/>');
+  }
+
+  /**
+   * One line per profile: [{ token, name, fixed, encoding, resolution, frameRate, bitrate, videoEncoder,
+   * ptzConfiguration, ptzNode, streamUri }]. streamUri: GetStreamUri per profile (null when the camera refuses).
+   */
+  async getProfileSummary({ protocol = 'RtspUnicast' } = {}) {
+    const data = await this.getProfiles();
+    const profiles = asArray(data && data.Profiles).map(normalizeProfile);
+    for (const p of profiles) {
+      const ve = p.videoEncoder || {};
+      Object.assign(p, { encoding: ve.encoding || null, resolution: ve.resolution || null, frameRate: ve.frameRate || null, bitrate: ve.bitrate || null });
+      try {
+        p.streamUri = p.token ? await this.getStreamUri(p.token, protocol) : null;
+      } catch (e) {
+        if (e instanceof OnvifConnectionError) throw e;
+        this.log('debug', `[INFO] no stream URI for ${p.token}: ${e.message}`);
+        p.streamUri = null;
+      }
+    }
+    return profiles;
+  }
+
+  // Resolves the URI string
+  async getSnapshotUri(token) {
+    const data = (await this._media2())
+      ? await this.call('MEDIA2', 'GetSnapshotUri', `<tr2:GetSnapshotUri xmlns:tr2="http://www.onvif.org/ver20/media/wsdl">
+      <tr2:ProfileToken>${this._profile(token)}</tr2:ProfileToken>
+    </tr2:GetSnapshotUri>`)
+      : await this.call('MEDIA1', 'GetSnapshotUri', `<trt:GetSnapshotUri xmlns:trt="http://www.onvif.org/ver10/media/wsdl">
+      <trt:ProfileToken>${this._profile(token)}</trt:ProfileToken>
+    </trt:GetSnapshotUri>`);
+    return text(data && ((data.MediaUri && data.MediaUri.Uri) || data.Uri));
+  }
+
+  /**
+   * Downloads one image from the snapshot URI (HTTP Digest/Basic as the camera asks).
+   * uri: reuse a URI from getSnapshotUri() (bursts); otherwise it is resolved for the profile first.
+   * Resolves { uri, contentType, data (Buffer), time (Date) }.
+   */
+  async fetchSnapshot({ token, uri, timeoutMs = 10000 } = {}) {
+    if (!uri) uri = await this.getSnapshotUri(token);
+    if (!uri) throw new OnvifFaultError('Camera returned no snapshot URI', { action: 'Snapshot', category: 'not_supported' });
+    httpUrl(uri, 'snapshot URI');
+    this.log('debug', `[INFO] GET ${uri}`);
+    let resp;
+    try {
+      resp = await this.soap.get(uri, { accept: 'image/*', timeoutMs });
+    } catch (e) {
+      throw new OnvifConnectionError(`Snapshot download failed: ${e.message}`, { action: 'Snapshot', cause: e });
+    }
+    const contentType = String(resp.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (resp.statusCode >= 400) {
+      const [category, hint] = resp.statusCode === 401 || resp.statusCode === 403 ? ['auth', 'the snapshot URL rejected the credentials']
+        : resp.statusCode === 404 ? ['not_supported', 'snapshot URL not found (is the JPEG service enabled?)']
+        : resp.statusCode === 503 ? ['busy', 'retry later']
+        : ['device', null];
+      throw new OnvifFaultError(`Snapshot download failed: HTTP ${resp.statusCode}${hint ? ` – ${hint}` : ''}`,
+        { action: 'Snapshot', statusCode: resp.statusCode, category, hint });
+    }
+    if (!resp.body.length || (contentType && !contentType.startsWith('image/'))) {
+      throw new OnvifFaultError(`Snapshot download failed: expected an image, got ${contentType || 'no content type'} (${resp.body.length} bytes)`,
+        { action: 'Snapshot', statusCode: resp.statusCode, category: 'device' });
+    }
+    return { uri, contentType: contentType || 'image/jpeg', data: resp.body, time: new Date() };
+  }
+
+  // protocol: RtspUnicast (default) | RtspMulticast | RTSP | RtspOverHttp | RTSPS (Media2 only). Resolves the URI string
+  async getStreamUri(token, protocol = 'RtspUnicast') {
+    protocol = oneOf(protocol, 'protocol', STREAM_PROTOCOLS);
+    const profile = this._profile(token);
+    let data;
+    if (await this._media2()) {
+      data = await this.call('MEDIA2', 'GetStreamUri', `<tr2:GetStreamUri xmlns:tr2="http://www.onvif.org/ver20/media/wsdl">
+      <tr2:Protocol>${protocol}</tr2:Protocol>
+      <tr2:ProfileToken>${profile}</tr2:ProfileToken>
+    </tr2:GetStreamUri>`);
+    } else {
+      if (!MEDIA1_STREAM_SETUP[protocol]) {
+        throw new OnvifFaultError(`${protocol} needs Media2 (ver20/media), the camera only offers Media1`, { action: 'GetStreamUri', category: 'not_supported' });
+      }
+      const [stream, transport] = MEDIA1_STREAM_SETUP[protocol];
+      data = await this.call('MEDIA1', 'GetStreamUri', `<trt:GetStreamUri xmlns:trt="http://www.onvif.org/ver10/media/wsdl">
+      <trt:StreamSetup>
+        <tt:Stream xmlns:tt="http://www.onvif.org/ver10/schema">${stream}</tt:Stream>
+        <tt:Transport xmlns:tt="http://www.onvif.org/ver10/schema">
+          <tt:Protocol>${transport}</tt:Protocol>
+        </tt:Transport>
+      </trt:StreamSetup>
+      <trt:ProfileToken>${profile}</trt:ProfileToken>
+    </trt:GetStreamUri>`);
+    }
+    return text(data && ((data.MediaUri && data.MediaUri.Uri) || data.Uri));
+  }
+
+  /**
+   * Normalized video encoder configurations (see normalizeEncoderConfig).
+   * opts: { profileToken (only those of this profile), configurationToken (just this one) }
+   */
+  async getVideoEncoderConfigurations(opts = {}) {
+    return (await this._videoEncoderConfigurationsRaw(opts)).configs.map(normalizeEncoderConfig);
+  }
+
+  // { media2, configs: [raw configuration elements] } – setVideoEncoderConfiguration sends them back complete
+  async _videoEncoderConfigurationsRaw({ profileToken, configurationToken } = {}) {
+    if (profileToken) referenceToken(profileToken, 'profile token');
+    if (configurationToken) referenceToken(configurationToken, 'configuration token');
+    if (await this._media2()) {
+      const data = await this.call('MEDIA2', 'GetVideoEncoderConfigurations', `<tr2:GetVideoEncoderConfigurations xmlns:tr2="http://www.onvif.org/ver20/media/wsdl">
+      ${configurationToken ? `<tr2:ConfigurationToken>${escapeXml(configurationToken)}</tr2:ConfigurationToken>` : ''}
+      ${profileToken ? `<tr2:ProfileToken>${escapeXml(profileToken)}</tr2:ProfileToken>` : ''}
+    </tr2:GetVideoEncoderConfigurations>`);
+      return { media2: true, configs: asArray(data && data.Configurations) };
+    }
+    if (profileToken) {
+      // Media1 has no per-profile filter: the profile names its configuration
+      const data = await this.call('MEDIA1', 'GetProfile', `<trt:GetProfile xmlns:trt="http://www.onvif.org/ver10/media/wsdl">
+      <trt:ProfileToken>${escapeXml(profileToken)}</trt:ProfileToken>
+    </trt:GetProfile>`);
+      const ve = data && data.Profile && data.Profile.VideoEncoderConfiguration;
+      return { media2: false, configs: ve && (!configurationToken || attr(ve, 'token') === configurationToken) ? [ve] : [] };
+    }
+    const data = await this.call('MEDIA1', 'GetVideoEncoderConfigurations', '<trt:GetVideoEncoderConfigurations xmlns:trt="http://www.onvif.org/ver10/media/wsdl"/>');
+    return { media2: false, configs: asArray(data && data.Configurations).filter(c => !configurationToken || attr(c, 'token') === configurationToken) };
+  }
+
+  // The configuration with this token, or the one of the selected profile
+  async getVideoEncoderConfiguration(configurationToken) {
+    const list = configurationToken
+      ? await this.getVideoEncoderConfigurations({ configurationToken })
+      : await this.getVideoEncoderConfigurations({ profileToken: this._profileToken() });
+    if (!list.length) {
+      throw new OnvifFaultError(`No video encoder configuration ${configurationToken ? `"${configurationToken}"` : `for profile "${this._profileToken()}"`}`,
+        { action: 'GetVideoEncoderConfiguration', category: 'invalid_argument' });
+    }
+    return list[0];
+  }
+
+  /**
+   * What the encoder accepts (see normalizeEncoderOptions), one entry per codec.
+   * opts: { configurationToken, profileToken } – either narrows the answer (default: the selected profile)
+   */
+  async getVideoEncoderConfigurationOptions({ configurationToken, profileToken } = {}) {
+    if (configurationToken) referenceToken(configurationToken, 'configuration token');
+    profileToken = configurationToken ? profileToken : (profileToken || this._profileToken());
+    if (profileToken) referenceToken(profileToken, 'profile token');
+    const media2 = await this._media2();
+    const ns = media2 ? 'tr2' : 'trt';
+    const data = await this.call(media2 ? 'MEDIA2' : 'MEDIA1', 'GetVideoEncoderConfigurationOptions',
+      `<${ns}:GetVideoEncoderConfigurationOptions xmlns:${ns}="http://www.onvif.org/${media2 ? 'ver20' : 'ver10'}/media/wsdl">
+      ${configurationToken ? `<${ns}:ConfigurationToken>${escapeXml(configurationToken)}</${ns}:ConfigurationToken>` : ''}
+      ${profileToken ? `<${ns}:ProfileToken>${escapeXml(profileToken)}</${ns}:ProfileToken>` : ''}
+    </${ns}:GetVideoEncoderConfigurationOptions>`);
+    return normalizeEncoderOptions(data, media2);
+  }
+
+  /**
+   * Read-modify-write: fetches the current configuration (the selected profile's, or configurationToken),
+   * merges the given fields, checks them against GetVideoEncoderConfigurationOptions and sends the complete
+   * configuration back (token, Name, UseCount, Multicast, SessionTimeout … unchanged).
+   * changes: { resolution: 'WxH', bitrate (kbps), frameRate, govLength, quality, encoding (alias codec), profile }
+   * opts: { configurationToken, dryRun (read and validate only) }
+   * Resolves { token, media: 'media2'|'media1', changes: [{ field, from, to }], sent }.
+   */
+  async setVideoEncoderConfiguration(changes = {}, { configurationToken, dryRun = false } = {}) {
+    const want = {};
+    if (changes.resolution !== undefined) {
+      const m = /^(\d{2,5})x(\d{2,5})$/i.exec(String(changes.resolution));
+      if (!m) throw new OnvifArgumentError(`resolution must be WIDTHxHEIGHT, e.g. 1920x1080 (got ${JSON.stringify(changes.resolution)})`);
+      want.resolution = `${+m[1]}x${+m[2]}`;
+    }
+    const encoding = changes.encoding !== undefined ? changes.encoding : changes.codec;
+    if (encoding !== undefined) want.encoding = oneOf(encoding, 'codec', ['JPEG', 'MPEG4', 'H264', 'H265']);
+    if (changes.bitrate !== undefined) want.bitrate = integer(changes.bitrate, 'bitrate', 1);
+    if (changes.frameRate !== undefined) want.frameRate = inRange(changes.frameRate, 'frame rate', 0.01, 1000);
+    if (changes.govLength !== undefined) want.govLength = integer(changes.govLength, 'GOP length', 1);
+    if (changes.quality !== undefined) want.quality = number(changes.quality, 'quality');
+    if (changes.profile !== undefined) want.profile = String(required(changes.profile, 'encoder profile'));
+    if (!Object.keys(want).length) throw new OnvifArgumentError('Nothing to change: give resolution, bitrate, frame rate, GOP, quality, codec or profile');
+
+    const profileToken = configurationToken ? undefined : this._profileToken();
+    const { media2, configs } = await this._videoEncoderConfigurationsRaw({ profileToken, configurationToken });
+    const raw = configs[0];
+    if (!raw) {
+      throw new OnvifFaultError(`No video encoder configuration ${configurationToken ? `"${configurationToken}"` : `for profile "${profileToken}"`}`,
+        { action: 'GetVideoEncoderConfigurations', category: 'invalid_argument' });
+    }
+    const cur = normalizeEncoderConfig(raw);
+    const options = await this.getVideoEncoderConfigurationOptions({ configurationToken: cur.token, profileToken });
+    const next = Object.assign({}, cur, want);
+    checkEncoderOptions(next, want, options, media2);
+
+    const fields = ['encoding', 'resolution', 'frameRate', 'bitrate', 'govLength', 'quality', 'profile'];
+    const diff = fields.filter(f => String(next[f]).toLowerCase() !== String(cur[f]).toLowerCase())
+      .map(f => ({ field: f, from: cur[f], to: next[f] }));
+    // Resolution is mandatory in the Set request; some cameras leave it out of their configuration
+    if (diff.length && !next.resolution) {
+      throw new OnvifArgumentError(`configuration ${cur.token} reports no Resolution; give one with the change (--resolution=WIDTHxHEIGHT, see get_video_encoder_configuration_options)`);
+    }
+    const result = { token: cur.token, media: media2 ? 'media2' : 'media1', changes: diff, sent: false };
+    if (dryRun || !diff.length) return result;
+
+    if (media2) {
+      await this.call('MEDIA2', 'SetVideoEncoderConfiguration', `<tr2:SetVideoEncoderConfiguration xmlns:tr2="http://www.onvif.org/ver20/media/wsdl" xmlns:tt="http://www.onvif.org/ver10/schema">
+      ${videoEncoder2Xml(raw, next)}
+    </tr2:SetVideoEncoderConfiguration>`);
+    } else {
+      await this.call('MEDIA1', 'SetVideoEncoderConfiguration', `<trt:SetVideoEncoderConfiguration xmlns:trt="http://www.onvif.org/ver10/media/wsdl" xmlns:tt="http://www.onvif.org/ver10/schema">
+      ${videoEncoder1Xml(raw, next)}
+      <trt:ForcePersistence>true</trt:ForcePersistence>
+    </trt:SetVideoEncoderConfiguration>`);
+    }
+    return Object.assign(result, { sent: true });
+  }
+
+  // -------------------- Imaging --------------------
+
+  // Imaging works on video sources: the one of the selected profile unless given
+  async videoSourceToken(source) {
+    if (source) return referenceToken(source, 'video source token');
+    const token = this._profileToken();
+    if (!this._videoSources) this._videoSources = {};
+    if (!this._videoSources[token]) {
+      const data = await this.getProfiles();
+      const p = asArray(data && data.Profiles).map(normalizeProfile).find(x => x.token === token);
+      if (!p || !p.videoSource) {
+        throw new OnvifFaultError(`Profile "${token}" has no video source (see get_profiles, --token or --source)`,
+          { action: 'GetProfiles', category: 'invalid_argument' });
+      }
+      this._videoSources[token] = p.videoSource;
+    }
+    return this._videoSources[token];
+  }
+
+  async getImagingSettings(source) {
+    const vs = await this.videoSourceToken(source);
+    const data = await this.call('IMAGING', 'GetImagingSettings', `<timg:GetImagingSettings xmlns:timg="http://www.onvif.org/ver20/imaging/wsdl">
+      <timg:VideoSourceToken>${escapeXml(vs)}</timg:VideoSourceToken>
+    </timg:GetImagingSettings>`);
+    return Object.assign({ source: vs }, normalizeImagingSettings(data && data.ImagingSettings));
+  }
+
+  async getImagingOptions(source) {
+    const vs = await this.videoSourceToken(source);
+    const data = await this.call('IMAGING', 'GetOptions', `<timg:GetOptions xmlns:timg="http://www.onvif.org/ver20/imaging/wsdl">
+      <timg:VideoSourceToken>${escapeXml(vs)}</timg:VideoSourceToken>
+    </timg:GetOptions>`);
+    return Object.assign({ source: vs }, normalizeImagingOptions(data && data.ImagingOptions));
+  }
+
+  /**
+   * Changes only the given settings, checked against GetOptions first; a block's required Mode is taken
+   * from the current settings when only its level / values change.
+   * changes: { brightness, contrast, colorSaturation, sharpness, irCutFilter (ON|OFF|AUTO),
+   *            backlightCompensation (ON|OFF), backlightLevel, wideDynamicRange (ON|OFF), wdrLevel,
+   *            exposureMode (AUTO|MANUAL), exposureTime, gain, iris }
+   * opts: { source, dryRun, forcePersistence (default true) }
+   * Resolves { source, changes: [{ field, from, to }], sent }.
+   */
+  async setImagingSettings(changes = {}, { source, dryRun = false, forcePersistence = true } = {}) {
+    const want = {};
+    for (const f of ['brightness', 'contrast', 'colorSaturation', 'sharpness', 'backlightLevel', 'wdrLevel', 'exposureTime', 'gain', 'iris']) {
+      if (changes[f] !== undefined) want[f] = number(changes[f], f);
+    }
+    if (changes.irCutFilter !== undefined) want.irCutFilter = oneOf(changes.irCutFilter, 'IR cut filter', ['ON', 'OFF', 'AUTO']);
+    if (changes.backlightCompensation !== undefined) want.backlightCompensation = oneOf(changes.backlightCompensation, 'backlight compensation', ['ON', 'OFF']);
+    if (changes.wideDynamicRange !== undefined) want.wideDynamicRange = oneOf(changes.wideDynamicRange, 'WDR', ['ON', 'OFF']);
+    if (changes.exposureMode !== undefined) want.exposureMode = oneOf(changes.exposureMode, 'exposure mode', ['AUTO', 'MANUAL']);
+    if (!Object.keys(want).length) throw new OnvifArgumentError('Nothing to change: give at least one imaging setting');
+    // manual exposure values are only accepted in MANUAL mode
+    if (['exposureTime', 'gain', 'iris'].some(f => f in want)) {
+      if (want.exposureMode === 'AUTO') throw new OnvifArgumentError('exposure time / gain / iris need exposure mode MANUAL');
+      want.exposureMode = 'MANUAL';
+    }
+
+    const vs = await this.videoSourceToken(source);
+    const cur = await this.getImagingSettings(vs);
+    const opt = await this.getImagingOptions(vs);
+    const flat = {
+      brightness: cur.brightness, contrast: cur.contrast, colorSaturation: cur.colorSaturation, sharpness: cur.sharpness,
+      irCutFilter: cur.irCutFilter,
+      backlightCompensation: cur.backlightCompensation && cur.backlightCompensation.mode,
+      backlightLevel: cur.backlightCompensation && cur.backlightCompensation.level,
+      wideDynamicRange: cur.wideDynamicRange && cur.wideDynamicRange.mode,
+      wdrLevel: cur.wideDynamicRange && cur.wideDynamicRange.level,
+      exposureMode: cur.exposure && cur.exposure.mode,
+      exposureTime: cur.exposure && cur.exposure.exposureTime,
+      gain: cur.exposure && cur.exposure.gain,
+      iris: cur.exposure && cur.exposure.iris
+    };
+
+    const ranges = {
+      brightness: opt.brightness, contrast: opt.contrast, colorSaturation: opt.colorSaturation, sharpness: opt.sharpness,
+      backlightLevel: opt.backlightCompensation && opt.backlightCompensation.level,
+      wdrLevel: opt.wideDynamicRange && opt.wideDynamicRange.level,
+      exposureTime: opt.exposure && opt.exposure.exposureTime,
+      gain: opt.exposure && opt.exposure.gain,
+      iris: opt.exposure && opt.exposure.iris
+    };
+    const modeLists = {
+      irCutFilter: opt.irCutFilterModes,
+      backlightCompensation: opt.backlightCompensation && opt.backlightCompensation.modes,
+      wideDynamicRange: opt.wideDynamicRange && opt.wideDynamicRange.modes,
+      exposureMode: opt.exposure && opt.exposure.modes
+    };
+    for (const [f, v] of Object.entries(want)) {
+      const r = ranges[f];
+      if (r && r.min !== null && r.max !== null && (v < r.min || v > r.max)) {
+        throw new OnvifArgumentError(`${f} ${v} is outside ${r.min}…${r.max}`);
+      }
+      const list = modeLists[f];
+      if (list && list.length && !list.some(m => String(m).toUpperCase() === v)) {
+        throw new OnvifArgumentError(`${f} ${v} is not supported (supported: ${list.join(', ')})`);
+      }
+      if (f in ranges && !r && !(f in flat && flat[f] !== null)) {
+        throw new OnvifArgumentError(`${f} is not adjustable on this video source`);
+      }
+    }
+
+    const diff = Object.keys(want).filter(f => String(want[f]) !== String(flat[f])).map(f => ({ field: f, from: flat[f], to: want[f] }));
+    const result = { source: vs, changes: diff, sent: false };
+    if (dryRun || !diff.length) return result;
+
+    const next = Object.assign({}, flat, want);
+    const has = (...fs) => fs.some(f => f in want);
+    const el = (name, v) => (v === null || v === undefined ? '' : `<tt:${name}>${escapeXml(v)}</tt:${name}>`);
+    // tt:ImagingSettings20 element order
+    let xml = '';
+    if (has('backlightCompensation', 'backlightLevel')) {
+      xml += `<tt:BacklightCompensation>${el('Mode', next.backlightCompensation || 'ON')}${el('Level', next.backlightLevel)}</tt:BacklightCompensation>`;
+    }
+    if ('brightness' in want) xml += el('Brightness', next.brightness);
+    if ('colorSaturation' in want) xml += el('ColorSaturation', next.colorSaturation);
+    if ('contrast' in want) xml += el('Contrast', next.contrast);
+    if ('exposureMode' in want) {
+      const manual = next.exposureMode === 'MANUAL';
+      xml += `<tt:Exposure>${el('Mode', next.exposureMode)}${manual ? el('ExposureTime', next.exposureTime) + el('Gain', next.gain) + el('Iris', next.iris) : ''}</tt:Exposure>`;
+    }
+    if ('irCutFilter' in want) xml += el('IrCutFilter', next.irCutFilter);
+    if ('sharpness' in want) xml += el('Sharpness', next.sharpness);
+    if (has('wideDynamicRange', 'wdrLevel')) {
+      xml += `<tt:WideDynamicRange>${el('Mode', next.wideDynamicRange || 'ON')}${el('Level', next.wdrLevel)}</tt:WideDynamicRange>`;
+    }
+    await this.call('IMAGING', 'SetImagingSettings', `<timg:SetImagingSettings xmlns:timg="http://www.onvif.org/ver20/imaging/wsdl" xmlns:tt="http://www.onvif.org/ver10/schema">
+      <timg:VideoSourceToken>${escapeXml(vs)}</timg:VideoSourceToken>
+      <timg:ImagingSettings>${xml}</timg:ImagingSettings>
+      <timg:ForcePersistence>${!!forcePersistence}</timg:ForcePersistence>
+    </timg:SetImagingSettings>`);
+    return Object.assign(result, { sent: true });
+  }
+
+  /**
+   * Focus move, one of: { speed } continuous (until focusStop), { position, speed? } absolute,
+   * { distance, speed? } relative. Ranges come from the camera (GetMoveOptions); it faults outside them.
+   */
+  async focusMove({ speed, position, distance } = {}, source) {
+    let move;
+    if (position !== undefined) {
+      move = `<tt:Absolute><tt:Position>${number(position, 'focus position')}</tt:Position>${speed !== undefined ? `<tt:Speed>${number(speed, 'focus speed')}</tt:Speed>` : ''}</tt:Absolute>`;
+    } else if (distance !== undefined) {
+      move = `<tt:Relative><tt:Distance>${number(distance, 'focus distance')}</tt:Distance>${speed !== undefined ? `<tt:Speed>${number(speed, 'focus speed')}</tt:Speed>` : ''}</tt:Relative>`;
+    } else if (speed !== undefined) {
+      move = `<tt:Continuous><tt:Speed>${number(speed, 'focus speed')}</tt:Speed></tt:Continuous>`;
+    } else {
+      throw new OnvifArgumentError('focus move needs speed (continuous), position (absolute) or distance (relative)');
+    }
+    const vs = await this.videoSourceToken(source);
+    return this.call('IMAGING', 'Move', `<timg:Move xmlns:timg="http://www.onvif.org/ver20/imaging/wsdl" xmlns:tt="http://www.onvif.org/ver10/schema">
+      <timg:VideoSourceToken>${escapeXml(vs)}</timg:VideoSourceToken>
+      <timg:Focus>${move}</timg:Focus>
+    </timg:Move>`);
+  }
+
+  async focusStop(source) {
+    const vs = await this.videoSourceToken(source);
+    return this.call('IMAGING', 'Stop', `<timg:Stop xmlns:timg="http://www.onvif.org/ver20/imaging/wsdl">
+      <timg:VideoSourceToken>${escapeXml(vs)}</timg:VideoSourceToken>
+    </timg:Stop>`);
+  }
+
+  // { source, position, moveStatus, error }
+  async getFocusStatus(source) {
+    const vs = await this.videoSourceToken(source);
+    const data = await this.call('IMAGING', 'GetStatus', `<timg:GetStatus xmlns:timg="http://www.onvif.org/ver20/imaging/wsdl">
+      <timg:VideoSourceToken>${escapeXml(vs)}</timg:VideoSourceToken>
+    </timg:GetStatus>`);
+    const f = (data && data.Status && data.Status.FocusStatus20) || {};
+    return { source: vs, position: num(f.Position), moveStatus: text(f.MoveStatus), error: text(f.Error) };
+  }
+
+  // -------------------- Device / Network --------------------
+
+  // { manufacturer, model, firmwareVersion, serialNumber, hardwareId }
+  async getDeviceInformation() {
+    const d = (await this.call('DEVICE', 'GetDeviceInformation', '<tds:GetDeviceInformation xmlns:tds="http://www.onvif.org/ver10/device/wsdl"/>')) || {};
+    return {
+      manufacturer: text(d.Manufacturer),
+      model: text(d.Model),
+      firmwareVersion: text(d.FirmwareVersion),
+      serialNumber: text(d.SerialNumber),
+      hardwareId: text(d.HardwareId)
+    };
+  }
+
+  async getCapabilities() {
+    return this.call('DEVICE', 'GetCapabilities', '<tds:GetCapabilities xmlns:tds="http://www.onvif.org/ver10/device/wsdl"/>');
+  }
+
+  // { utc (ISO 8601, null when not reported), dateTimeType, daylightSavings, timeZone }
+  async getSystemDateAndTime() {
+    const d = (await this.call('DEVICE', 'GetSystemDateAndTime', '<tds:GetSystemDateAndTime xmlns:tds="http://www.onvif.org/ver10/device/wsdl"/>')) || {};
+    const sdt = d.SystemDateAndTime || {};
+    return {
+      utc: utcFromOnvif(sdt.UTCDateTime),
+      dateTimeType: text(sdt.DateTimeType),
+      daylightSavings: text(sdt.DaylightSavings) === 'true',
+      timeZone: sdt.TimeZone ? text(sdt.TimeZone.TZ) : null
+    };
+  }
+
+  // Manual time in UTC plus the host's current offset as timezone (default: now)
+  async setSystemDateAndTime(date = new Date()) {
+    const now = date instanceof Date ? date : new Date(date);
+    if (isNaN(now.getTime())) throw new OnvifArgumentError(`invalid date: ${date}`);
+    const offsetMinutes = new Date().getTimezoneOffset();
+    const sign = offsetMinutes > 0 ? '-' : '+';
+    const absMin = Math.abs(offsetMinutes);
+    const tzHours = String(Math.floor(absMin / 60)).padStart(2, '0');
+    const tzMins  = String(absMin % 60).padStart(2, '0');
+    const timezone = `GMT${sign}${tzHours}:${tzMins}`;
+
+    const data = await this.call('DEVICE', 'SetSystemDateAndTime', `<tds:SetSystemDateAndTime xmlns:tds="http://www.onvif.org/ver10/device/wsdl" xmlns:tt="http://www.onvif.org/ver10/schema">
+      <tds:DateTimeType>Manual</tds:DateTimeType>
+      <tds:DaylightSavings>false</tds:DaylightSavings>
+      <tds:TimeZone>
+        <tt:TZ>${timezone}</tt:TZ>
+      </tds:TimeZone>
+      <tds:UTCDateTime>
+        <tt:Time>
+          <tt:Hour>${now.getUTCHours()}</tt:Hour>
+          <tt:Minute>${now.getUTCMinutes()}</tt:Minute>
+          <tt:Second>${now.getUTCSeconds()}</tt:Second>
+        </tt:Time>
+        <tt:Date>
+          <tt:Year>${now.getUTCFullYear()}</tt:Year>
+          <tt:Month>${now.getUTCMonth() + 1}</tt:Month>
+          <tt:Day>${now.getUTCDate()}</tt:Day>
+        </tt:Date>
+      </tds:UTCDateTime>
+    </tds:SetSystemDateAndTime>`);
+    // the camera now runs on the time just sent
+    this._setClockOffset(now.getTime() - Date.now());
+    return data;
+  }
+
+  async reboot() {
+    return this.call('DEVICE', 'SystemReboot', '<tds:SystemReboot xmlns:tds="http://www.onvif.org/ver10/device/wsdl"/>');
+  }
+
+  async factoryReset() {
+    return this.call('DEVICE', 'FactoryReset', '<tds:FactoryReset xmlns:tds="http://www.onvif.org/ver10/device/wsdl"/>');
+  }
+
+  async getHostname() {
+    return this.call('DEVICE', 'GetHostname', '<tds:GetHostname xmlns:tds="http://www.onvif.org/ver10/device/wsdl"/>');
+  }
+
+  async setHostname(name) {
+    if (!/^[A-Za-z0-9]([A-Za-z0-9-]{0,61}[A-Za-z0-9])?$/.test(String(required(name, 'hostname')))) {
+      throw new OnvifArgumentError(`hostname may only contain letters, digits and inner hyphens (max. 63; got ${JSON.stringify(name)})`);
+    }
+    return this.call('DEVICE', 'SetHostname', `<tds:SetHostname xmlns:tds="http://www.onvif.org/ver10/device/wsdl">
+      <tds:Name>${escapeXml(name)}</tds:Name>
+    </tds:SetHostname>`);
+  }
+
+  async getNetworkInterfaces() {
+    return this.call('DEVICE', 'GetNetworkInterfaces', '<tds:GetNetworkInterfaces xmlns:tds="http://www.onvif.org/ver10/device/wsdl"/>');
+  }
+
+  // { address, netmask, dhcp } on interface eth0
+  async setNetworkInterfaces({ address, netmask, dhcp = false } = {}) {
+    ipv4(address, 'address');
+    const prefix = netmaskToPrefix(required(netmask, 'netmask'));
+    return this.call('DEVICE', 'SetNetworkInterfaces', `<tds:SetNetworkInterfaces xmlns:tds="http://www.onvif.org/ver10/device/wsdl" xmlns:tt="http://www.onvif.org/ver10/schema">
+      <tds:InterfaceToken>eth0</tds:InterfaceToken>
+      <tds:NetworkInterface>
+        <tt:Enabled>true</tt:Enabled>
+        <tt:IPv4>
+          <tt:Enabled>true</tt:Enabled>
+          <tt:Manual>
+            <tt:Address>${escapeXml(address)}</tt:Address>
+            <tt:PrefixLength>${prefix}</tt:PrefixLength>
+          </tt:Manual>
+          <tt:DHCP>${!!dhcp}</tt:DHCP>
+        </tt:IPv4>
+      </tds:NetworkInterface>
+    </tds:SetNetworkInterfaces>`);
+  }
+
+  // DHCP on IPv4 (no static manual block)
+  async enableDhcp() {
+    return this.call('DEVICE', 'SetNetworkInterfaces', `<tds:SetNetworkInterfaces xmlns:tds="http://www.onvif.org/ver10/device/wsdl" xmlns:tt="http://www.onvif.org/ver10/schema">
+      <tds:InterfaceToken>eth0</tds:InterfaceToken>
+      <tds:NetworkInterface>
+        <tt:Enabled>true</tt:Enabled>
+        <tt:IPv4>
+          <tt:Enabled>true</tt:Enabled>
+          <tt:DHCP>true</tt:DHCP>
+        </tt:IPv4>
+      </tds:NetworkInterface>
+    </tds:SetNetworkInterfaces>`);
+  }
+
+  async getDns() {
+    return this.call('DEVICE', 'GetDNS', '<tds:GetDNS xmlns:tds="http://www.onvif.org/ver10/device/wsdl"/>');
+  }
+
+  async setDns(servers) {
+    const list = asArray(servers).filter(Boolean).map(d => ipv4(d, 'DNS server'));
+    if (!list.length) throw new OnvifArgumentError('Missing DNS server');
+    const dnsBlocks = list.map(d => `<tds:DNSManual><tt:Type>IPv4</tt:Type><tt:IPv4Address>${escapeXml(d)}</tt:IPv4Address></tds:DNSManual>`).join('');
+    return this.call('DEVICE', 'SetDNS', `<tds:SetDNS xmlns:tds="http://www.onvif.org/ver10/device/wsdl" xmlns:tt="http://www.onvif.org/ver10/schema">
+      <tds:FromDHCP>false</tds:FromDHCP>
+      ${dnsBlocks}
+    </tds:SetDNS>`);
+  }
+
+  // IPv4 address or DNS name
+  async setNtp(server) {
+    const host = String(required(server, 'NTP server'));
+    const isIp = /^\d+\.\d+\.\d+\.\d+$/.test(host);
+    if (isIp) ipv4(host, 'NTP server');
+    else if (!/^[A-Za-z0-9]([A-Za-z0-9.-]{0,251}[A-Za-z0-9])?$/.test(host)) throw new OnvifArgumentError(`NTP server must be an IPv4 address or host name (got ${JSON.stringify(host)})`);
+    return this.call('DEVICE', 'SetNTP', `<tds:SetNTP xmlns:tds="http://www.onvif.org/ver10/device/wsdl" xmlns:tt="http://www.onvif.org/ver10/schema">
+      <tds:FromDHCP>false</tds:FromDHCP>
+      <tds:NTPManual>
+        ${isIp ? `<tt:Type>IPv4</tt:Type><tt:IPv4Address>${escapeXml(host)}</tt:IPv4Address>` : `<tt:Type>DNS</tt:Type><tt:DNSname>${escapeXml(host)}</tt:DNSname>`}
+      </tds:NTPManual>
+    </tds:SetNTP>`);
+  }
+
+  async getUsers() {
+    return this.call('DEVICE', 'GetUsers', '<tds:GetUsers xmlns:tds="http://www.onvif.org/ver10/device/wsdl"/>');
+  }
+
+  // { username, password, level: Administrator|Operator|User }
+  async createUser({ username, password, level } = {}) {
+    if (!username || !password || !level) throw new OnvifArgumentError('Missing username, password, or level');
+    level = oneOf(level, 'user level', ['Administrator', 'Operator', 'User', 'Anonymous']);
+    return this.call('DEVICE', 'CreateUsers', `<tds:CreateUsers xmlns:tds="http://www.onvif.org/ver10/device/wsdl">
+      <tds:User>
+        <tt:Username xmlns:tt="http://www.onvif.org/ver10/schema">${escapeXml(username)}</tt:Username>
+        <tt:Password xmlns:tt="http://www.onvif.org/ver10/schema">${escapeXml(password)}</tt:Password>
+        <tt:UserLevel xmlns:tt="http://www.onvif.org/ver10/schema">${escapeXml(level)}</tt:UserLevel>
+      </tds:User>
+    </tds:CreateUsers>`);
+  }
+
+  async deleteUser(username) {
+    required(username, 'username');
+    return this.call('DEVICE', 'DeleteUsers', `<tds:DeleteUsers xmlns:tds="http://www.onvif.org/ver10/device/wsdl">
+      <tds:Username>${escapeXml(username)}</tds:Username>
+    </tds:DeleteUsers>`);
+  }
+
+  // New password for an existing user
+  async setUser({ username, password } = {}) {
+    if (!username || !password) throw new OnvifArgumentError('Missing username or password');
+    return this.call('DEVICE', 'SetUser', `<tds:SetUser xmlns:tds="http://www.onvif.org/ver10/device/wsdl" xmlns:tt="http://www.onvif.org/ver10/schema">
+      <tds:User>
+        <tt:Username>${escapeXml(username)}</tt:Username>
+        <tt:Password>${escapeXml(password)}</tt:Password>
+      </tds:User>
+    </tds:SetUser>`);
+  }
+
+  // type: 'System' (default) | 'Access'
+  async getSystemLog(type = 'System') {
+    const logType = String(type).toLowerCase() === 'access' ? 'Access' : 'System';
+    return this.call('DEVICE', 'GetSystemLog', `<tds:GetSystemLog xmlns:tds="http://www.onvif.org/ver10/device/wsdl">
+      <tds:LogType>${logType}</tds:LogType>
+    </tds:GetSystemLog>`);
+  }
+
+  // -------------------- Events / Detection --------------------
+
+  async getEventProperties() {
+    return this.call('EVENTS', 'GetEventProperties', '<tev:GetEventProperties xmlns:tev="http://www.onvif.org/ver10/events/wsdl"/>');
+  }
+
+  // Legacy subscribe via the Device service (fallback when the Events XAddr rejects Subscribe)
+  async subscribeViaDevice() {
+    return this.call('DEVICE', 'Subscribe', '<tev:Subscribe xmlns:tev="http://www.onvif.org/ver10/events/wsdl"/>');
+  }
+
+  // Many cams expose motion via device or analytics extensions; kept as-is
+  async getMotionDetection() {
+    return this.call('DEVICE', 'GetMotionDetection', '<tmd:GetMotionDetection xmlns:tmd="http://www.onvif.org/ver10/schema"/>');
+  }
+
+  async setMotionDetection(enabled) {
+    const on = bool(enabled, 'enable flag');
+    return this.call('DEVICE', 'SetMotionDetection', `<tmd:SetMotionDetection xmlns:tmd="http://www.onvif.org/ver10/schema">
+      <tmd:Enabled>${on}</tmd:Enabled>
+    </tmd:SetMotionDetection>`);
+  }
+
+  // POST to a subscription manager / events endpoint; faults and HTTP errors reject.
+  // build() returns the envelope – called again for the retry after a clock sync (fresh WS-Security header).
+  async _eventsPost(url, build, what, postOpts = {}) {
+    return this._withClockSync(() => this._eventsPostOnce(url, build(), what, postOpts));
+  }
+
+  async _eventsPostOnce(url, xml, what, postOpts) {
+    this.emit('request', { service: 'SUBSCRIPTION', action: what, url, body: xml });
+    let resp;
+    try {
+      resp = await this.soap.post(url, xml, { action: postOpts.action, timeoutMs: postOpts.timeoutMs || EVENTS_TIMEOUT_MS });
+    } catch (e) {
+      throw new OnvifConnectionError(`${what} failed: ${e.message}`, { action: what, cause: e });
+    }
+    this.emit('response', { service: 'SUBSCRIPTION', action: what, url, statusCode: resp.statusCode, xml: resp.body, name: null, data: null });
+    const fault = parseFault(resp.body);
+    if (fault || resp.statusCode >= 400) throw faultError(what, resp.statusCode, resp.body);
+    return resp;
+  }
+
+  // Events XAddr first, Device service on 404/405/transport errors (or always with quirk events_via_device)
+  async _subscribePost(build, what) {
+    const services = await this.getServices();
+    const deviceUrl = this.soap.serviceUrl('DEVICE');
+    if (this.quirks.events_via_device) return this._eventsPost(deviceUrl, build, what);
+    try {
+      return await this._eventsPost(services.events || this.soap.serviceUrl('EVENTS'), build, what);
+    } catch (e) {
+      if (e instanceof OnvifFaultError && e.statusCode !== 404 && e.statusCode !== 405) throw e;
+      this.log('warn', `[WARN] EVENTS endpoint failed, trying DEVICE… ${e.message}`);
+      return this._eventsPost(deviceUrl, build, what);
+    }
+  }
+
+  /**
+   * Create a subscription. opts: { mode: 'pull' (default) | 'push', pushUrl, termination (ISO 8601, default PT60S) }
+   * Resolves an OnvifSubscription (not yet renewing / pulling, see startRenewing() / startPulling()).
+   */
+  async subscribe(opts = {}) {
+    const mode = String(opts.mode || 'pull').toLowerCase();
+    const termination = isoDuration(opts.termination || 'PT60S', 'termination');
+    let info;
+    if (mode === 'push') {
+      if (!opts.pushUrl) throw new OnvifArgumentError('pushUrl is required for push mode');
+      httpUrl(opts.pushUrl, 'pushUrl');
+      const env = () => `<?xml version="1.0" encoding="UTF-8"?>
+<s:Envelope xmlns:s="http://www.w3.org/2003/05/soap-envelope"
+            xmlns:wsa="http://www.w3.org/2005/08/addressing"
+            xmlns:wsnt="http://docs.oasis-open.org/wsn/b-2">
+  ${this.soap.wsseHeader()}
+  <s:Body>
+    <wsnt:Subscribe>
+      <wsnt:ConsumerReference><wsa:Address>${escapeXml(opts.pushUrl)}</wsa:Address></wsnt:ConsumerReference>
+      <wsnt:Delivery Mode="http://docs.oasis-open.org/wsn/b-2/HTTP"><wsa:ReferenceParameters/></wsnt:Delivery>
+      <wsnt:InitialTerminationTime>${escapeXml(termination)}</wsnt:InitialTerminationTime>
+    </wsnt:Subscribe>
+  </s:Body>
+</s:Envelope>`;
+      const resp = await this._subscribePost(env, 'Subscribe (push)');
+      info = readSubscription(resp.body, 'Subscribe (push)');
+    } else if (mode === 'pull') {
+      info = await this._createPullPoint(termination);
+    } else {
+      throw new OnvifArgumentError(`mode must be push or pull (got ${mode})`);
+    }
+    return new OnvifSubscription(this, { mode, termination, pushUrl: opts.pushUrl }, info);
+  }
+
+  // Pull point first, WS-Notification Subscribe (Pull) as fallback
+  async _createPullPoint(termination) {
+    const env1 = () => `<?xml version="1.0" encoding="UTF-8"?>
+<s:Envelope xmlns:s="http://www.w3.org/2003/05/soap-envelope"
+            xmlns:tev="http://www.onvif.org/ver10/events/wsdl">
+  ${this.soap.wsseHeader()}
+  <s:Body>
+    <tev:CreatePullPointSubscription>
+      <tev:InitialTerminationTime>${escapeXml(termination)}</tev:InitialTerminationTime>
+    </tev:CreatePullPointSubscription>
+  </s:Body>
+</s:Envelope>`;
+    try {
+      const resp1 = await this._subscribePost(env1, 'CreatePullPointSubscription');
+      if (/SubscriptionReference/i.test(resp1.body)) return readSubscription(resp1.body, 'CreatePullPointSubscription');
+    } catch (e) {
+      if (!(e instanceof OnvifFaultError)) throw e;
+    }
+    this.log('debug', 'CreatePullPointSubscription not supported, trying WS-Notification Subscribe (Pull)…');
+    const env2 = () => `<?xml version="1.0" encoding="UTF-8"?>
+<s:Envelope xmlns:s="http://www.w3.org/2003/05/soap-envelope"
+            xmlns:wsa="http://www.w3.org/2005/08/addressing"
+            xmlns:wsnt="http://docs.oasis-open.org/wsn/b-2">
+  ${this.soap.wsseHeader()}
+  <s:Body>
+    <wsnt:Subscribe>
+      <wsnt:Delivery Mode="http://docs.oasis-open.org/wsn/b-2/Pull"/>
+      <wsnt:InitialTerminationTime>${escapeXml(termination)}</wsnt:InitialTerminationTime>
+    </wsnt:Subscribe>
+  </s:Body>
+</s:Envelope>`;
+    const resp2 = await this._subscribePost(env2, 'Subscribe (pull)');
+    return readSubscription(resp2.body, 'Subscribe (pull)');
+  }
+
+  // Renew by Subscription Manager URL; resolves { currentTime, terminationTime }
+  async renewSubscription(subscriptionUrl, termination = 'PT60S') {
+    httpUrl(subscriptionUrl, 'subscription URL');
+    termination = isoDuration(termination, 'termination');
+    const env = () => `<?xml version="1.0" encoding="UTF-8"?>
+<s:Envelope xmlns:s="http://www.w3.org/2003/05/soap-envelope"
+            xmlns:wsnt="http://docs.oasis-open.org/wsn/b-2">
+  ${this.soap.wsseHeader()}
+  <s:Body>
+    <wsnt:Renew><wsnt:TerminationTime>${escapeXml(termination)}</wsnt:TerminationTime></wsnt:Renew>
+  </s:Body>
+</s:Envelope>`;
+    const resp = await this._eventsPost(subscriptionUrl, env, 'Renew');
+    const current = matchTag(resp.body, /<(?:\w+:)?CurrentTime>([^<]+)<\/(?:\w+:)?CurrentTime>/i);
+    const term    = matchTag(resp.body, /<(?:\w+:)?TerminationTime>([^<]+)<\/(?:\w+:)?TerminationTime>/i);
+    return { currentTime: current || null, terminationTime: term || null };
+  }
+
+  async unsubscribe(subscriptionUrl) {
+    httpUrl(subscriptionUrl, 'subscription URL');
+    const env = () => `<?xml version="1.0" encoding="UTF-8"?>
+<s:Envelope xmlns:s="http://www.w3.org/2003/05/soap-envelope"
+            xmlns:wsnt="http://docs.oasis-open.org/wsn/b-2">
+  ${this.soap.wsseHeader()}
+  <s:Body><wsnt:Unsubscribe/></s:Body>
+</s:Envelope>`;
+    await this._eventsPost(subscriptionUrl, env, 'Unsubscribe');
+    return true;
+  }
+
+  // One PullMessages long-poll; resolves decoded notifications (onvif_control_events.parseNotifications)
+  async pullMessages(subscriptionUrl, { timeout = 'PT30S', messageLimit = 10 } = {}) {
+    httpUrl(subscriptionUrl, 'subscription URL');
+    timeout = isoDuration(timeout, 'timeout');
+    messageLimit = integer(messageLimit, 'message limit', 1);
+    const env = () => `<?xml version="1.0" encoding="UTF-8"?>
+<s:Envelope xmlns:s="http://www.w3.org/2003/05/soap-envelope"
+            xmlns:wsa="http://www.w3.org/2005/08/addressing"
+            xmlns:tev="http://www.onvif.org/ver10/events/wsdl">
+  ${this.soap.wsseHeader(`<wsa:Action>${PULL_MESSAGES_ACTION}</wsa:Action><wsa:To>${escapeXml(subscriptionUrl)}</wsa:To>`)}
+  <s:Body>
+    <tev:PullMessages>
+      <tev:Timeout>${escapeXml(timeout)}</tev:Timeout>
+      <tev:MessageLimit>${messageLimit}</tev:MessageLimit>
+    </tev:PullMessages>
+  </s:Body>
+</s:Envelope>`;
+    const resp = await this._eventsPost(subscriptionUrl, env, 'PullMessages', {
+      action: PULL_MESSAGES_ACTION, timeoutMs: isoToMs(timeout) + SOCKET_TIMEOUT_MS
+    });
+    return parseNotifications(resp.body);
+  }
+
+  /**
+   * WS-Discovery: multicast Probe (or unicast to opts.address), collects ProbeMatches for opts.timeoutMs.
+   * opts: { timeoutMs (default 3000), address, interface (local IPv4), log(level, msg) }
+   * Resolves [{ endpoint, ip, port, name, hardware, location, types, xaddrs, scopes, from }] sorted by ip.
+   */
+  static discover(opts = {}) {
+    const waitMs = opts.timeoutMs || 3000;
+    const target = opts.address || WSD_MULTICAST_ADDR;
+    const log = opts.log || (() => {});
+    return new Promise((resolve, reject) => {
+      const found = new Map();
+      const sock = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+      let timer = null;
+
+      sock.on('message', (msg, rinfo) => {
+        const xml = msg.toString('utf8');
+        log('debug', `RESPONSE ProbeMatches from ${rinfo.address}:\n${xml}\n`);
+        for (const dev of parseProbeMatches(xml, rinfo.address)) {
+          const key = dev.endpoint || dev.xaddrs.join(' ');
+          if (!found.has(key)) found.set(key, dev);
+        }
+      });
+      sock.on('error', err => {
+        clearTimeout(timer);
+        sock.close();
+        reject(new OnvifConnectionError(`WS-Discovery failed: ${err.message}`, { cause: err }));
+      });
+
+      sock.bind(0, () => {
+        try {
+          sock.setMulticastTTL(2);
+          if (opts.interface) sock.setMulticastInterface(String(opts.interface));
+        } catch (e) {
+          log('warn', `[WARN] multicast setup: ${e.message}`);
+        }
+        // Some devices only answer NetworkVideoTransmitter, others only Device
+        for (const types of ['dn:NetworkVideoTransmitter', 'tds:Device']) {
+          const probe = Buffer.from(wsdProbeXml(types));
+          log('debug', `REQUEST Probe → ${target}:${WSD_PORT}:\n${probe}\n`);
+          sock.send(probe, WSD_PORT, target);
+        }
+        log('info', `[INFO] Probing ${target}:${WSD_PORT} for ${waitMs / 1000}s…`);
+        timer = setTimeout(() => {
+          sock.close();
+          resolve([...found.values()].sort((a, b) => String(a.ip).localeCompare(String(b.ip), undefined, { numeric: true })));
+        }, waitMs);
+      });
+    });
+  }
+}
+
+function readSubscription(body, what) {
+  const address = matchTag(body, /<(?:\w+:)?SubscriptionReference>\s*<(?:\w+:)?Address>([^<]+)<\/(?:\w+:)?Address>/i);
+  const current = matchTag(body, /<(?:\w+:)?CurrentTime>([^<]+)<\/(?:\w+:)?CurrentTime>/i);
+  const term    = matchTag(body, /<(?:\w+:)?TerminationTime>([^<]+)<\/(?:\w+:)?TerminationTime>/i);
+  if (!address) throw new OnvifFaultError(`No SubscriptionReference.Address in ${what} response`, { action: what, xml: body });
+  return { subscription: decodeXmlEntities(address.trim()), currentTime: current || null, terminationTime: term || null };
+}
+
+/**
+ * A push or pull subscription created by OnvifCamera.subscribe().
+ * Events: 'event' (notification record, pull only), 'renewed' ({ currentTime, terminationTime }),
+ *         'recreated' (pull point replaced), 'error' (renew / pull failures; the loops keep going).
+ */
+class OnvifSubscription extends EventEmitter {
+  constructor(camera, opts, info) {
+    super();
+    this.camera = camera;
+    this.mode = opts.mode;
+    this.termination = opts.termination;
+    this.subscription = info.subscription;
+    this.currentTime = info.currentTime;
+    this.terminationTime = info.terminationTime;
+    this.closed = false;
+    this._renewTimer = null;
+  }
+
+  toJSON() {
+    return { subscription: this.subscription, currentTime: this.currentTime || null, terminationTime: this.terminationTime || null };
+  }
+
+  _error(err) {
+    // an 'error' event without listener would throw; the loops report and carry on
+    if (this.listenerCount('error')) this.emit('error', err);
+  }
+
+  async renew() {
+    return this.camera.renewSubscription(this.subscription, this.termination);
+  }
+
+  async unsubscribe() {
+    return this.camera.unsubscribe(this.subscription);
+  }
+
+  // Renew at ~70% of the TTL the camera reports (or of termination); this.subscription is re-read each
+  // time, the pull loop may swap in a recreated pull point
+  startRenewing() {
+    if (this._renewTimer || this.closed) return this;
+    let ttlMs = this.currentTime && this.terminationTime ? dateDiffMs(this.currentTime, this.terminationTime) : null;
+    if (!ttlMs || ttlMs <= 0) ttlMs = isoToMs(this.termination);
+    let renewMs = Math.max(5000, Math.floor(ttlMs * 0.7));
+    this.camera.log('debug', `[INFO] auto_renew active; first renew in ~${Math.round(renewMs / 1000)}s`);
+
+    const loop = async () => {
+      try {
+        const r = await this.renew();
+        const newTtlMs = r.currentTime && r.terminationTime ? dateDiffMs(r.currentTime, r.terminationTime) : null;
+        if (newTtlMs && newTtlMs > 0) {
+          renewMs = Math.max(5000, Math.floor(newTtlMs * 0.7));
+          this.camera.log('debug', `[INFO] renew ok; next in ~${Math.round(renewMs / 1000)}s`);
+        } else {
+          this.camera.log('debug', '[WARN] renew ok; TTL not provided, keeping previous interval');
+        }
+        this.emit('renewed', r);
+      } catch (e) {
+        this.camera.log('error', `[ERROR] renew failed: ${e.message}`);
+        this._error(e);
+        renewMs = Math.max(10000, Math.floor(renewMs / 2));
+      } finally {
+        if (!this.closed) this._renewTimer = setTimeout(loop, renewMs);
+      }
+    };
+    this._renewTimer = setTimeout(loop, renewMs);
+    return this;
+  }
+
+  /**
+   * PullMessages loop (pull mode): emits 'event' per decoded notification until close().
+   * Recreates the pull point when the camera forgets it (fault / 4xx / 3 transport errors in a row), with a backoff
+   * that only a successful PullMessages resets; the old pull point is unsubscribed (best effort).
+   * Also starts renewing. Resolves when closed.
+   */
+  async startPulling({ timeout = 'PT30S', messageLimit = 10 } = {}) {
+    if (this.mode !== 'pull') throw new OnvifArgumentError('startPulling() needs a pull subscription');
+    timeout = isoDuration(timeout, 'timeout');
+    messageLimit = integer(messageLimit, 'message limit', 1);
+    this.startRenewing();
+    let failures = 0;
+    let received = 0;
+    const recreate = async (why) => {
+      const backoffMs = failures > 1 ? Math.min(PULL_BACKOFF_MAX_MS, PULL_BACKOFF_MS * 2 ** (failures - 2)) : 0;
+      this.camera.log('warn', `[WARN] pull point lost (${why}); recreating${backoffMs ? ` in ${(backoffMs / 1000).toFixed(0)} s` : ''}…`);
+      await sleep(backoffMs);
+      if (this.closed) return;
+      try {
+        const fresh = await this.camera._createPullPoint(this.termination);
+        const old = this.subscription;
+        // the old one would hold a subscription slot until its termination time
+        if (old && old !== fresh.subscription) await this.camera.unsubscribe(old).catch(() => {});
+        this.subscription = fresh.subscription;
+        this.currentTime = fresh.currentTime;
+        this.terminationTime = fresh.terminationTime;
+        this.camera.log('debug', `[INFO] Pull subscription recreated: ${this.subscription}`);
+        this.emit('recreated', this.toJSON());
+      } catch (e) {
+        this.camera.log('error', `[ERROR] recreate failed: ${e.message}`);
+        this._error(e);
+      }
+    };
+
+    while (!this.closed) {
+      let events;
+      try {
+        events = await this.camera.pullMessages(this.subscription, { timeout, messageLimit });
+      } catch (e) {
+        if (this.closed) break;
+        failures++;
+        if (e instanceof OnvifFaultError) {
+          await recreate(e.statusCode >= 400 ? `HTTP ${e.statusCode}` : e.message);
+        } else {
+          this.camera.log('error', `[ERROR] PullMessages failed (${failures}x): ${e.message}`);
+          this._error(e);
+          if (failures >= 3) await recreate(e.message);
+          else await sleep(SOCKET_TIMEOUT_MS);
+        }
+        continue;
+      }
+      failures = 0;
+      for (const ev of events) {
+        this.emit('event', ev);
+        received++;
+      }
+      if (events.length) this.camera.log('debug', `[INFO] ${events.length} event(s), ${received} total`);
+    }
+  }
+
+  // Stop renewing / pulling; opts.unsubscribe also cancels it on the camera
+  async close({ unsubscribe = false } = {}) {
+    this.closed = true;
+    clearTimeout(this._renewTimer);
+    this._renewTimer = null;
+    if (unsubscribe && this.subscription) await this.unsubscribe();
+  }
+}
+
+// === WS-Discovery (UDP 3702) ===
+
+function wsdProbeXml(types) {
+  const messageId = 'uuid:' + crypto.randomUUID();
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<s:Envelope xmlns:s="http://www.w3.org/2003/05/soap-envelope"
+            xmlns:a="http://schemas.xmlsoap.org/ws/2004/08/addressing"
+            xmlns:d="http://schemas.xmlsoap.org/ws/2005/04/discovery"
+            xmlns:dn="http://www.onvif.org/ver10/network/wsdl"
+            xmlns:tds="http://www.onvif.org/ver10/device/wsdl">
+  <s:Header>
+    <a:Action s:mustUnderstand="1">http://schemas.xmlsoap.org/ws/2005/04/discovery/Probe</a:Action>
+    <a:MessageID>${messageId}</a:MessageID>
+    <a:ReplyTo><a:Address>http://schemas.xmlsoap.org/ws/2004/08/addressing/role/anonymous</a:Address></a:ReplyTo>
+    <a:To s:mustUnderstand="1">urn:schemas-xmlsoap-org:ws:2005:04:discovery</a:To>
+  </s:Header>
+  <s:Body>
+    <d:Probe><d:Types>${types}</d:Types></d:Probe>
+  </s:Body>
+</s:Envelope>`;
+}
+
+// One entry per ProbeMatch: endpoint reference, XAddrs, types and decoded onvif:// scopes
+function parseProbeMatches(xml, from) {
+  const out = [];
+  const blocks = xml.match(/<(?:\w+:)?ProbeMatch>[\s\S]*?<\/(?:\w+:)?ProbeMatch>/g) || [];
+  for (const b of blocks) {
+    const text = (re) => decodeXmlEntities((matchTag(b, re) || '').trim());
+    const xaddrs = text(/<(?:\w+:)?XAddrs>([\s\S]*?)<\/(?:\w+:)?XAddrs>/).split(/\s+/).filter(Boolean);
+    const scopes = text(/<(?:\w+:)?Scopes[^>]*>([\s\S]*?)<\/(?:\w+:)?Scopes>/).split(/\s+/).filter(Boolean);
+    const scope = (kind) => scopes
+      .filter(sc => sc.toLowerCase().startsWith(`onvif://www.onvif.org/${kind}/`))
+      .map(sc => { try { return decodeURIComponent(sc.split('/').slice(4).join('/')); } catch { return sc.split('/').slice(4).join('/'); } });
+    let host = from, port = '80';
+    try {
+      const u = new URL(xaddrs.find(x => /^https?:/.test(x)) || '');
+      host = u.hostname;
+      port = u.port || (u.protocol === 'https:' ? '443' : '80');
+    } catch {}
+    out.push({
+      endpoint: text(/<(?:\w+:)?EndpointReference>\s*<(?:\w+:)?Address>([^<]*)<\/(?:\w+:)?Address>/),
+      ip: host,
+      port,
+      name: scope('name').join(' ') || null,
+      hardware: scope('hardware').join(' ') || null,
+      location: scope('location').join(' ') || null,
+      types: text(/<(?:\w+:)?Types>([\s\S]*?)<\/(?:\w+:)?Types>/).split(/\s+/).filter(Boolean),
+      xaddrs,
+      scopes,
+      from
+    });
+  }
+  return out;
+}
+
+module.exports = {
+  OnvifCamera,
+  OnvifSubscription,
+  OnvifError,
+  OnvifArgumentError,
+  OnvifConnectionError,
+  OnvifFaultError,
+  matchPreset,
+  matchPresetName,
+  validate: { number, inRange, integer, referenceToken, isoDuration, ipv4, httpUrl, oneOf, bool },
+  parseFault,
+  isoToMs
+};
@@ -0,0 +1,214 @@
+/**
+ * onvif_control_config
+ * Camera inventory: named cameras with host, port, credentials, profile token, wakeup mode and quirks.
+ * Credential sources: literal, environment variable, file, .netrc-style credentials file.
+ *
+ * Used by:
+ * - onvif_control.js                 (--camera=<name> [--config=<file>])
+ * - onvif_control_event_listener.js  (--config=<file> → camera names for MQTT topics)
+ *
+ * File format (JSON, or YAML when the optional "js-yaml" package is installed):
+ *
+ *   defaults:                # optional, applied to every camera
+ *     user: admin
+ *     port: 8080
+ *   cameras:
+ *     frontdoor:
+ *       host: 172.20.1.171   # "ip" is accepted as well
+ *       port: 8080
+ *       user: admin
+ *       pass: secret
+ *       token: MainStreamProfileToken
+ *       # instead of "pass": pass_env: FRONTDOOR_PASS  or  pass_file: secrets/frontdoor.pass
+ *       wakeup: simple       # none | simple | full
+ *       auth: auto           # wsse (default) | digest | basic | both | auto
+ *       vendor: ctronics     # special preset table (default: detected from GetDeviceInformation)
+ *       quirks:
+ *         no_media2: true
+ *         pan_degrees: [-175, 175]   # --units=degrees without a degree space: degrees at the ends of the generic range
+ *         tilt_degrees: [-5, 90]
+ *
+ * Lookup order when --config is not given:
+ *   $ONVIF_CONTROL_CONFIG, ./onvif_cameras.{json,yaml,yml}, <script dir>/onvif_cameras.{json,yaml,yml},
+ *   ~/.config/onvif_control/cameras.{json,yaml,yml}
+ *
+ * Also keeps the measured camera clock offsets between runs ($XDG_CACHE_HOME or ~/.cache/onvif_control/clock_offsets.json).
+ */
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const EXTENSIONS = ['.json', '.yaml', '.yml'];
+const WAKEUP_MODES = ['none', 'simple', 'full'];
+const AUTH_MODES = ['wsse', 'digest', 'basic', 'both', 'auto'];
+// Camera clocks drift: a cached offset older than this is measured again
+const CLOCK_OFFSET_MAX_AGE_MS = 24 * 3600 * 1000;
+
+function defaultConfigCandidates(scriptDir) {
+  const out = [];
+  if (process.env.ONVIF_CONTROL_CONFIG) out.push(process.env.ONVIF_CONTROL_CONFIG);
+  const dirs = [process.cwd(), scriptDir].filter(Boolean);
+  for (const d of dirs) for (const ext of EXTENSIONS) out.push(path.join(d, 'onvif_cameras' + ext));
+  for (const ext of EXTENSIONS) out.push(path.join(os.homedir(), '.config', 'onvif_control', 'cameras' + ext));
+  return out;
+}
+
+// explicit path must exist; otherwise the first existing default candidate (or null)
+function resolveConfigPath(explicit, scriptDir) {
+  if (explicit) {
+    if (!fs.existsSync(explicit)) throw new Error(`config file not found: ${explicit}`);
+    return explicit;
+  }
+  return defaultConfigCandidates(scriptDir).find(p => fs.existsSync(p)) || null;
+}
+
+function parseConfigText(text, file) {
+  if (/\.ya?ml$/i.test(file)) {
+    let yaml;
+    try { yaml = require('js-yaml'); } catch {
+      throw new Error(`${file}: YAML inventory needs the "js-yaml" package (npm install js-yaml) – or use JSON`);
+    }
+    return yaml.load(text) || {};
+  }
+  return JSON.parse(text);
+}
+
+function warnIfWorldReadable(file, what) {
+  try {
+    if (process.platform !== 'win32' && (fs.statSync(file).mode & 0o077)) {
+      console.error(`[WARN] ${what} ${file} is readable by group/others (chmod 600 recommended)`);
+    }
+  } catch {}
+}
+
+/**
+ * Secret from one of: src[name] (literal), src[name + '_env'] (environment variable name)
+ * or src[name + '_file'] (file, trailing newline stripped; relative to baseDir).
+ * Returns undefined when none is set.
+ */
+function readSecret(name, src, baseDir) {
+  if (src[name] !== undefined && src[name] !== null && src[name] !== true) return String(src[name]);
+  const envName = src[name + '_env'];
+  if (envName) {
+    if (process.env[envName] === undefined) throw new Error(`environment variable ${envName} (${name}_env) is not set`);
+    return process.env[envName];
+  }
+  const file = src[name + '_file'];
+  if (file) {
+    const p = path.resolve(baseDir || process.cwd(), String(file));
+    if (!fs.existsSync(p)) throw new Error(`${name}_file not found: ${p}`);
+    warnIfWorldReadable(p, `${name}_file`);
+    return fs.readFileSync(p, 'utf8').replace(/\r?\n$/, '');
+  }
+  return undefined;
+}
+
+/**
+ * .netrc-style credentials: "machine <host>[:<port>] login <user> password <pass>" and "default login … password …".
+ * Lookup order: host:port, host, default. Returns { login, password } or null.
+ */
+function netrcLookup(file, host, port) {
+  if (!fs.existsSync(file)) return null;
+  warnIfWorldReadable(file, 'credentials file');
+  const tokens = fs.readFileSync(file, 'utf8')
+    .split('\n').filter(l => !/^\s*#/.test(l)).join('\n')
+    .split(/\s+/).filter(Boolean);
+  const entries = [];
+  let cur = null;
+  for (let i = 0; i < tokens.length; i++) {
+    const t = tokens[i];
+    if (t === 'machine') { cur = { machine: tokens[++i] }; entries.push(cur); }
+    else if (t === 'default') { cur = { machine: null }; entries.push(cur); }
+    else if (cur && t === 'login') cur.login = tokens[++i];
+    else if (cur && t === 'password') cur.password = tokens[++i];
+    else if (cur && t === 'account') i++;
+  }
+  const wanted = [port ? `${host}:${port}` : null, host].filter(Boolean);
+  for (const w of wanted) {
+    const e = entries.find(x => x.machine === w);
+    if (e) return { login: e.login, password: e.password };
+  }
+  const d = entries.find(x => x.machine === null);
+  return d ? { login: d.login, password: d.password } : null;
+}
+
+// pass_env / pass_file are only resolved (readSecret) for the camera actually used
+function normalizeCamera(name, raw, defaults, baseDir) {
+  const c = Object.assign({}, defaults, raw);
+  const cam = {
+    name,
+    host: c.host || c.ip || null,
+    port: c.port != null ? String(c.port) : null,
+    user: c.user != null ? String(c.user) : undefined,
+    pass: c.pass != null ? String(c.pass) : (c.password != null ? String(c.password) : undefined),
+    pass_env: c.pass_env || undefined,
+    pass_file: c.pass_file ? path.resolve(baseDir, String(c.pass_file)) : undefined,
+    token: c.token != null ? String(c.token) : undefined,
+    wakeup: c.wakeup ? String(c.wakeup).toLowerCase() : 'none',
+    auth: c.auth ? String(c.auth).toLowerCase() : undefined,
+    vendor: c.vendor ? String(c.vendor).toLowerCase() : undefined,
+    quirks: Object.assign({}, defaults.quirks, raw.quirks)
+  };
+  if (!cam.host) throw new Error(`camera "${name}" has no host`);
+  if (!WAKEUP_MODES.includes(cam.wakeup)) {
+    throw new Error(`camera "${name}": wakeup must be one of ${WAKEUP_MODES.join(', ')} (got "${c.wakeup}")`);
+  }
+  if (cam.auth && !AUTH_MODES.includes(cam.auth)) {
+    throw new Error(`camera "${name}": auth must be one of ${AUTH_MODES.join(', ')} (got "${c.auth}")`);
+  }
+  return cam;
+}
+
+/**
+ * Returns { file, cameras: { <name>: { name, host, port, user, pass, pass_env, pass_file, token, wakeup, auth, vendor, quirks } } }
+ */
+function loadInventory(file) {
+  const doc = parseConfigText(fs.readFileSync(file, 'utf8'), file);
+  const defaults = doc.defaults || {};
+  const cameras = {};
+  const list = doc.cameras || {};
+  // cameras may be a map (name → entry) or a list of entries with "name"
+  const entries = Array.isArray(list) ? list.map(c => [c.name, c]) : Object.entries(list);
+  for (const [name, raw] of entries) {
+    if (!name) throw new Error(`${file}: camera entry without a name`);
+    cameras[name] = normalizeCamera(name, raw || {}, defaults, path.dirname(path.resolve(file)));
+  }
+  return { file, cameras };
+}
+
+function findCamera(inventory, name) {
+  const cam = inventory.cameras[name];
+  if (!cam) {
+    const known = Object.keys(inventory.cameras);
+    throw new Error(`unknown camera "${name}" in ${inventory.file}` + (known.length ? ` (known: ${known.join(', ')})` : ''));
+  }
+  return cam;
+}
+
+function clockCachePath() {
+  const base = process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache');
+  return path.join(base, 'onvif_control', 'clock_offsets.json');
+}
+
+function readClockCache() {
+  try { return JSON.parse(fs.readFileSync(clockCachePath(), 'utf8')) || {}; } catch { return {}; }
+}
+
+// Cached offset (ms, camera minus local clock) for host:port, or undefined when unknown / too old
+function readClockOffset(host, port) {
+  const e = readClockCache()[`${host}:${port || 80}`];
+  if (!e || !Number.isFinite(e.offsetMs) || Date.now() - new Date(e.measuredAt).getTime() > CLOCK_OFFSET_MAX_AGE_MS) return undefined;
+  return e.offsetMs;
+}
+
+function writeClockOffset(host, port, offsetMs) {
+  const file = clockCachePath();
+  const cache = readClockCache();
+  cache[`${host}:${port || 80}`] = { offsetMs: Math.round(offsetMs), measuredAt: new Date().toISOString() };
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(cache, null, 2) + '\n');
+}
+
+module.exports = { resolveConfigPath, loadInventory, findCamera, readSecret, netrcLookup, readClockOffset, writeClockOffset };
@@ -0,0 +1,246 @@
+/**
+ * onvif_control_console
+ * Interactive PTZ console on a terminal: arrow keys / WASD pan and tilt, +/- zoom, number keys go to presets,
+ * a status line polled from GetStatus. One OnvifCamera for the whole session: discovery and wakeup run once.
+ *
+ * Used by:
+ * - onvif_control.js  (--action=interactive [--speed=<0…1>] [--time=<s per key>] [--interval=<s status poll>])
+ *
+ *   const ptz = new PtzConsole(cam, { speed: 0.4 });
+ *   const summary = await ptz.run();   // resolves when the user quits (q, Esc, Ctrl-C)
+ *
+ * A terminal has no key-up events: a key starts ContinuousMove, the repeats of a held key keep it going, and
+ * Stop follows holdMs after the last one. Camera errors are shown on the console; they do not end it.
+ */
+'use strict';
+
+const readline = require('readline');
+const { OnvifArgumentError, OnvifFaultError, validate } = require('./onvif_control_camera');
+
+const DEFAULT_SPEED = 0.5;
+// Terminals repeat a held key after ~500 ms: a move lasts this long after the last key event
+const DEFAULT_HOLD_MS = 600;
+const DEFAULT_STATUS_MS = 1000;
+const SPEED_STEP = 0.1;
+
+// key name → direction (multiplied with the speed)
+const DIRECTIONS = {
+  up: { pan: 0, tilt: 1 }, w: { pan: 0, tilt: 1 },
+  down: { pan: 0, tilt: -1 }, s: { pan: 0, tilt: -1 },
+  left: { pan: -1, tilt: 0 }, a: { pan: -1, tilt: 0 },
+  right: { pan: 1, tilt: 0 }, d: { pan: 1, tilt: 0 }
+};
+
+const HELP = [
+  'arrows / WASD  pan & tilt (hold the key)    + / -  zoom in / out    space  stop',
+  '1…9  go to preset 1…9 of the list            0  home position        S (shift+s)  store the current position as preset',
+  '[ / ]  slower / faster    p  list presets    h  this help    q / Esc / Ctrl-C  quit'
+].join('\n');
+
+const fmt = v => (v === null || v === undefined ? '–' : Number(v).toFixed(3));
+
+class PtzConsole {
+  /**
+   * opts: { speed (0…1, default 0.5), holdMs (move time after the last key event, default 600),
+   *         statusMs (GetStatus poll interval, default 1000; 0 = no status line), clamp (see continuousMove),
+   *         token, input (TTY stream, default process.stdin), output (default process.stdout) }
+   */
+  constructor(camera, opts = {}) {
+    this.camera = camera;
+    this.speed = opts.speed === undefined ? DEFAULT_SPEED : validate.inRange(opts.speed, 'speed', 0.05, 1);
+    this.holdMs = opts.holdMs === undefined ? DEFAULT_HOLD_MS : validate.inRange(opts.holdMs, 'key hold (ms)', 50, 10000);
+    this.statusMs = opts.statusMs === undefined ? DEFAULT_STATUS_MS : validate.inRange(opts.statusMs, 'status interval (ms)', 0, 60000);
+    this.clamp = !!opts.clamp;
+    this.token = opts.token;
+    this.input = opts.input || process.stdin;
+    this.output = opts.output || process.stdout;
+    this.presets = [];
+    this.stored = 0;
+    this.moves = 0;
+    this._moving = null;
+    this._holdTimer = null;
+    this._pollTimer = null;
+    this._polling = false;
+    this._prompting = false;
+    this._status = null;
+    this._statusNote = '';
+    this._done = null;
+    this._onKey = (str, key) => this._key(str, key || {});
+  }
+
+  // Print a line above the status line
+  _say(msg) {
+    this.output.write(`\r\x1b[2K${msg}\n`);
+    this._render();
+  }
+
+  _render() {
+    if (this._prompting) return;
+    const st = this._status;
+    const pos = st ? `pan ${fmt(st.pan)}  tilt ${fmt(st.tilt)}  zoom ${fmt(st.zoom)}  ${st.moveStatus || ''}` : (this._statusNote || 'status …');
+    this.output.write(`\r\x1b[2K${pos}  | speed ${this.speed.toFixed(1)}${this._moving ? `  | moving ${this._moving}` : ''}`);
+  }
+
+  _poll() {
+    if (this._polling || this._prompting) return;
+    this._polling = true;
+    this.camera.getStatus(this.token)
+      .then(st => { this._status = st; })
+      .catch(e => {
+        // no GetStatus on this camera: keep the console, drop the status line
+        if (e instanceof OnvifFaultError) {
+          clearInterval(this._pollTimer);
+          this._status = null;
+          this._statusNote = 'no PTZ status';
+        } else {
+          this._statusNote = `status: ${e.message}`;
+          this._status = null;
+        }
+      })
+      .finally(() => { this._polling = false; this._render(); });
+  }
+
+  // Start (or keep) a ContinuousMove; Stop holdMs after the last key event of it
+  async _move(label, velocity) {
+    clearTimeout(this._holdTimer);
+    this._holdTimer = setTimeout(() => this._stop().catch(e => this._say(`[ERROR] ${e.message}`)), this.holdMs);
+    if (this._moving === label) return;
+    this._moving = label;
+    this.moves++;
+    this._render();
+    await this.camera.continuousMove(velocity, this.token, { clamp: this.clamp });
+  }
+
+  async _stop() {
+    clearTimeout(this._holdTimer);
+    this._holdTimer = null;
+    if (!this._moving) return;
+    this._moving = null;
+    this._render();
+    await this.camera.stop({}, this.token);
+  }
+
+  async _loadPresets() {
+    this.presets = await this.camera.getPresets(this.token);
+  }
+
+  _listPresets() {
+    if (!this.presets.length) return this._say('no presets – S stores the current position');
+    this._say(this.presets.map((p, i) => `${i < 9 ? i + 1 : ' '}  ${p.name || '(no name)'} (${p.token})`).join('\n'));
+  }
+
+  // Line input in cooked mode; keys are not handled meanwhile
+  _prompt(question) {
+    this._prompting = true;
+    this.input.removeListener('keypress', this._onKey);
+    this.input.setRawMode(false);
+    this.output.write('\r\x1b[2K');
+    const rl = readline.createInterface({ input: this.input, output: this.output });
+    return new Promise(resolve => rl.question(question, answer => { rl.close(); resolve(answer.trim()); }))
+      .finally(() => {
+        this.input.setRawMode(true);
+        this.input.resume();
+        this.input.on('keypress', this._onKey);
+        this._prompting = false;
+        this._render();
+      });
+  }
+
+  async _storePreset() {
+    await this._stop();
+    const name = await this._prompt(`preset name for the current position (empty = cancel): `);
+    if (!name) return this._say('not stored');
+    const same = this.presets.find(p => (p.name || '').toLowerCase() === name.toLowerCase());
+    if (same && !/^y(es)?$/i.test(await this._prompt(`"${same.name}" (${same.token}) exists – overwrite? [y/N] `))) {
+      return this._say('not stored');
+    }
+    const token = await this.camera.setPreset(name, this.token, same ? same.token : undefined);
+    this.stored++;
+    await this._loadPresets();
+    this._say(`[PRESET] ${name} stored${token ? ` (token ${token})` : ''}`);
+  }
+
+  async _goto(n) {
+    await this._stop();
+    if (n === 0) {
+      await this.camera.gotoHomePosition(this.token);
+      return this._say('[GOTO] home position');
+    }
+    const p = this.presets[n - 1];
+    if (!p) return this._say(`no preset ${n} (p lists them)`);
+    await this.camera.gotoPreset(p.token, this.token, { clamp: this.clamp });
+    this._say(`[GOTO] ${n}: ${p.name || p.token}`);
+  }
+
+  _key(str, key) {
+    if (this._prompting) return;
+    const name = key.name || str;
+    const act = () => {
+      if ((key.ctrl && name === 'c') || name === 'q' || name === 'escape') return this._quit();
+      if (DIRECTIONS[name] && !(name === 's' && key.shift)) {
+        const d = DIRECTIONS[name];
+        return this._move(name.length === 1 ? name.toUpperCase() : name, { pan: d.pan * this.speed, tilt: d.tilt * this.speed });
+      }
+      if (str === '+' || str === '=') return this._move('zoom in', { zoom: this.speed });
+      if (str === '-' || str === '_') return this._move('zoom out', { zoom: -this.speed });
+      if (name === 'space') return this._stop();
+      if (str === 'S') return this._storePreset();
+      if (/^[0-9]$/.test(str || '')) return this._goto(Number(str));
+      if (str === '[' || str === ']') {
+        this.speed = Math.min(1, Math.max(SPEED_STEP, Math.round((this.speed + (str === ']' ? SPEED_STEP : -SPEED_STEP)) * 10) / 10));
+        return this._render();
+      }
+      if (name === 'p') return this._loadPresets().then(() => this._listPresets());
+      if (name === 'h' || str === '?') return this._say(HELP);
+      return undefined;
+    };
+    Promise.resolve().then(act).catch(e => this._say(`[ERROR] ${e.message}`));
+  }
+
+  async _quit() {
+    if (!this._done) return;
+    const done = this._done;
+    this._done = null;
+    clearInterval(this._pollTimer);
+    this.input.removeListener('keypress', this._onKey);
+    try {
+      await this._stop();
+    } finally {
+      this.input.setRawMode(false);
+      this.input.pause();
+      this.output.write('\r\x1b[2K');
+      done();
+    }
+  }
+
+  /**
+   * Resolves { moves, stored } when the user quits. Rejects before the first key when the input is not a terminal
+   * or the preset list cannot be read.
+   */
+  async run() {
+    if (!this.input.isTTY || typeof this.input.setRawMode !== 'function') {
+      throw new OnvifArgumentError('the interactive console needs a terminal (stdin is not a TTY)');
+    }
+    await this._loadPresets();
+    this.output.write(`${HELP}\n\n`);
+    this._listPresets();
+    readline.emitKeypressEvents(this.input);
+    this.input.setRawMode(true);
+    this.input.resume();
+    this.input.on('keypress', this._onKey);
+    const finished = new Promise(resolve => { this._done = resolve; });
+    if (this.statusMs > 0) {
+      this._poll();
+      this._pollTimer = setInterval(() => this._poll(), this.statusMs);
+    }
+    await finished;
+    return { moves: this.moves, stored: this.stored };
+  }
+
+  // Quit from outside (SIGTERM)
+  stop() {
+    return this._quit();
+  }
+}
+
+module.exports = { PtzConsole };
@@ -0,0 +1,98 @@
+#!/usr/bin/env bash
+# WS-Discovery check for onvif_control.js --action=discover without a camera:
+# a loopback UDP responder on 127.0.0.1:3702 answers every Probe with a ProbeMatches, then discover (unicast,
+# --ip=127.0.0.1) must show its XAddrs, scopes and endpoint reference in the table and in --output=json.
+# Needs node (with minimist / xml2js as for onvif_control.js). Exit code 0 when every check passes.
+set -u
+cd "$(dirname "$0")"
+
+TMP=$(mktemp -d)
+RESPONDER=
+cleanup() {
+  [ -n "$RESPONDER" ] && kill "$RESPONDER" 2>/dev/null
+  wait 2>/dev/null
+  rm -rf "$TMP"
+}
+trap cleanup EXIT
+
+ENDPOINT="urn:uuid:5f5a69c2-e0ae-504f-829b-00fce51a7e4c"
+XADDRS="http://127.0.0.1:8080/onvif/device_service http://[fe80::1]:8080/onvif/device_service"
+
+# Answers each Probe (RelatesTo its MessageID) with one ProbeMatch; ends by itself after 20 s
+node -e '
+const dgram = require("dgram");
+const [endpoint, xaddrs] = process.argv.slice(1);
+const sock = dgram.createSocket("udp4");
+sock.on("message", (msg, rinfo) => {
+  const probe = msg.toString("utf8");
+  if (!/<(\w+:)?Probe>/.test(probe)) return;
+  const id = (/<(?:\w+:)?MessageID>([^<]+)</.exec(probe) || [])[1];
+  sock.send(Buffer.from(`<?xml version="1.0" encoding="UTF-8"?>
+<s:Envelope xmlns:s="http://www.w3.org/2003/05/soap-envelope" xmlns:a="http://schemas.xmlsoap.org/ws/2004/08/addressing"
+            xmlns:d="http://schemas.xmlsoap.org/ws/2005/04/discovery" xmlns:dn="http://www.onvif.org/ver10/network/wsdl">
+  <s:Header>
+    <a:Action>http://schemas.xmlsoap.org/ws/2005/04/discovery/ProbeMatches</a:Action>
+    <a:RelatesTo>${id}</a:RelatesTo>
+  </s:Header>
+  <s:Body>
+    <d:ProbeMatches>
+      <d:ProbeMatch>
+        <a:EndpointReference><a:Address>${endpoint}</a:Address></a:EndpointReference>
+        <d:Types>dn:NetworkVideoTransmitter</d:Types>
+        <d:Scopes>onvif://www.onvif.org/type/video_encoder onvif://www.onvif.org/name/Front%20Door onvif://www.onvif.org/hardware/C6T onvif://www.onvif.org/location/garden</d:Scopes>
+        <d:XAddrs>${xaddrs}</d:XAddrs>
+        <d:MetadataVersion>1</d:MetadataVersion>
+      </d:ProbeMatch>
+    </d:ProbeMatches>
+  </s:Body>
+</s:Envelope>`), rinfo.port, rinfo.address);
+});
+sock.bind(3702, "127.0.0.1", () => console.log("ready"));
+setTimeout(() => sock.close(), 20000);
+' "$ENDPOINT" "$XADDRS" >"$TMP/responder.log" 2>&1 &
+RESPONDER=$!
+for _ in $(seq 1 50); do
+  grep -q ready "$TMP/responder.log" && break
+  sleep 0.1
+done
+grep -q ready "$TMP/responder.log" || { echo "ERROR: responder did not start"; cat "$TMP/responder.log"; exit 2; }
+
+FAILED=0
+check() {
+  if grep -qF -- "$2" "$3"; then echo "ok    $1"; else echo "FAIL  $1 (no \"$2\")"; FAILED=1; fi
+}
+
+echo "== table"
+node onvif_control.js --action=discover --ip=127.0.0.1 --discover_timeout=1 >"$TMP/table.txt" 2>&1
+check "ip" "127.0.0.1" "$TMP/table.txt"
+check "name scope" "Front Door" "$TMP/table.txt"
+check "hardware scope" "C6T" "$TMP/table.txt"
+check "location scope" "garden" "$TMP/table.txt"
+check "xaddrs" "$XADDRS" "$TMP/table.txt"
+check "endpoint reference" "$ENDPOINT" "$TMP/table.txt"
+
+echo "== json"
+node onvif_control.js --action=discover --ip=127.0.0.1 --discover_timeout=1 --output=json >"$TMP/out.json" 2>&1
+node -e '
+const [file, endpoint, xaddrs] = process.argv.slice(1);
+const out = JSON.parse(require("fs").readFileSync(file, "utf8"));
+const dev = (out.result || [])[0] || {};
+const checks = [
+  ["one device (both Probes answered, one endpoint)", (out.result || []).length === 1],
+  ["endpoint reference", dev.endpoint === endpoint],
+  ["ip / port", dev.ip === "127.0.0.1" && dev.port === "8080"],
+  ["xaddrs", JSON.stringify(dev.xaddrs) === JSON.stringify(xaddrs.split(" "))],
+  ["scopes", Array.isArray(dev.scopes) && dev.scopes.length === 4 && dev.scopes.includes("onvif://www.onvif.org/hardware/C6T")],
+  ["name / hardware / location", dev.name === "Front Door" && dev.hardware === "C6T" && dev.location === "garden"],
+  ["types", JSON.stringify(dev.types) === JSON.stringify(["dn:NetworkVideoTransmitter"])]
+];
+let failed = 0;
+for (const [what, ok] of checks) { console.log(`${ok ? "ok  " : "FAIL"}  ${what}`); if (!ok) failed = 1; }
+process.exit(failed);
+' "$TMP/out.json" "$ENDPOINT" "$XADDRS" || FAILED=1
+
+if [ "$FAILED" -ne 0 ]; then
+  echo "--- table"; cat "$TMP/table.txt"
+  echo "--- json"; cat "$TMP/out.json"
+fi
+exit "$FAILED"
@@ -0,0 +1,101 @@
+#!/usr/bin/env bash
+# MQTT + Home Assistant discovery check for onvif_control_event_listener.js:
+# starts a local mosquitto and the listener, posts a motion Notify (on, then off) and reads the retained topics back.
+# Needs node, curl, mosquitto and mosquitto_sub. Exit code 0 when every check passes.
+#   ./onvif_control_event_listener_mqtt_test.sh        (MQTT_PORT / HTTP_PORT change the local ports)
+set -u
+cd "$(dirname "$0")"
+
+MQTT_PORT=${MQTT_PORT:-18830}
+HTTP_PORT=${HTTP_PORT:-19000}
+CAMERA=testcam
+STATE="onvif/$CAMERA/RuleEngine/CellMotionDetector/Motion/Motion"
+CONFIG="homeassistant/binary_sensor/onvif_$CAMERA/onvif_${CAMERA}_RuleEngine_CellMotionDetector_Motion_Motion/config"
+
+TMP=$(mktemp -d)
+PIDS=()
+cleanup() {
+  [ ${#PIDS[@]} -gt 0 ] && kill "${PIDS[@]}" 2>/dev/null
+  wait 2>/dev/null
+  rm -rf "$TMP"
+}
+trap cleanup EXIT
+
+for tool in node curl mosquitto mosquitto_sub; do
+  command -v "$tool" >/dev/null || { echo "ERROR: $tool not found"; exit 2; }
+done
+
+notify() {
+  curl -sf -X POST "http://127.0.0.1:$HTTP_PORT/onvif_hook" \
+    -H "Content-Type: application/soap+xml" --data-binary @- >/dev/null <<XML
+<s:Envelope xmlns:s="http://www.w3.org/2003/05/soap-envelope"
+            xmlns:wsnt="http://docs.oasis-open.org/wsn/b-2"
+            xmlns:tt="http://www.onvif.org/ver10/schema">
+  <s:Body>
+    <wsnt:Notify>
+      <wsnt:NotificationMessage>
+        <wsnt:Topic>tns1:RuleEngine/CellMotionDetector/Motion</wsnt:Topic>
+        <wsnt:Message>
+          <tt:Message UtcTime="2025-08-26T00:00:00Z">
+            <tt:Data>
+              <tt:SimpleItem Name="Motion" Value="$1"/>
+              <tt:SimpleItem Name="Window" Value="0"/>
+            </tt:Data>
+          </tt:Message>
+        </wsnt:Message>
+      </wsnt:NotificationMessage>
+    </wsnt:Notify>
+  </s:Body>
+</s:Envelope>
+XML
+}
+
+# Retained messages only ("<topic> <payload>" per line); -W ends the subscription
+retained() {
+  mosquitto_sub -h 127.0.0.1 -p "$MQTT_PORT" -t 'onvif/#' -t 'homeassistant/#' -v --retained-only -W 2 2>/dev/null
+}
+
+FAILED=0
+check() {
+  if grep -qF -- "$2" "$TMP/retained.txt"; then echo "ok    $1"; else echo "FAIL  $1 (no \"$2\")"; FAILED=1; fi
+}
+
+mosquitto -p "$MQTT_PORT" >"$TMP/mosquitto.log" 2>&1 &
+PIDS+=($!)
+sleep 0.5
+
+node onvif_control_event_listener.js --bind=127.0.0.1 --port="$HTTP_PORT" --outfile="$TMP/listener.txt" \
+  --mqtt_url="mqtt://127.0.0.1:$MQTT_PORT" --camera_map=127.0.0.1=$CAMERA --ha_discovery >"$TMP/listener.log" 2>&1 &
+PIDS+=($!)
+for _ in $(seq 1 50); do
+  curl -sf "http://127.0.0.1:$HTTP_PORT/health" >/dev/null && break
+  sleep 0.1
+done
+
+echo "== motion on"
+notify true || { echo "ERROR: listener not reachable"; cat "$TMP/listener.log"; exit 2; }
+sleep 0.5
+retained >"$TMP/retained.txt"
+check "listener status online" "onvif/listener/status online"
+check "retained state true" "$STATE true"
+check "HA discovery config" "$CONFIG {"
+check "config state_topic" "\"state_topic\":\"$STATE\""
+check "config device_class" '"device_class":"motion"'
+check "config availability" '"availability_topic":"onvif/listener/status"'
+if grep -q "^onvif/$CAMERA/RuleEngine/CellMotionDetector/Motion {" "$TMP/retained.txt"; then
+  echo "FAIL  full record is retained"; FAILED=1
+else
+  echo "ok    full record not retained"
+fi
+
+echo "== motion off"
+notify false
+sleep 0.5
+retained >"$TMP/retained.txt"
+check "retained state false" "$STATE false"
+
+if [ "$FAILED" -ne 0 ]; then
+  echo "--- retained"; cat "$TMP/retained.txt"
+  echo "--- listener"; cat "$TMP/listener.log"
+fi
+exit "$FAILED"
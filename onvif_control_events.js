@@ -0,0 +1,91 @@
+/**
+ * onvif_control_events
+ * Shared helpers for decoding ONVIF WS-Notification payloads.
+ *
+ * Used by:
+ * - onvif_control_camera.js          (pullMessages → PullMessagesResponse)
+ * - onvif_control_event_listener.js  (push → wsnt:Notify)
+ *
+ * Dependency-free (regex based, same approach as matchTag() in onvif_control_camera.js),
+ * so the listener can keep running without xml2js installed.
+ */
+'use strict';
+
+// Any namespace prefix (or none) in front of a tag name
+const P = '(?:[\\w.-]+:)?';
+
+function decodeXmlEntities(s) {
+  if (s == null) return s;
+  return String(s)
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, n) => String.fromCharCode(parseInt(n, 10)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, n) => String.fromCharCode(parseInt(n, 16)))
+    .replace(/&amp;/g, '&');
+}
+
+function attr(tag, name) {
+  const m = new RegExp(`\\s${P}${name}\\s*=\\s*("([^"]*)"|'([^']*)')`).exec(tag);
+  if (!m) return null;
+  return decodeXmlEntities(m[2] !== undefined ? m[2] : m[3]);
+}
+
+function firstText(xml, tag) {
+  const m = new RegExp(`<${P}${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${P}${tag}>`).exec(xml);
+  return m ? decodeXmlEntities(m[1].trim()) : null;
+}
+
+function allBlocks(xml, tag) {
+  return xml.match(new RegExp(`<${P}${tag}(?:\\s[^>]*)?>[\\s\\S]*?</${P}${tag}>`, 'g')) || [];
+}
+
+// <tt:Source>/<tt:Key>/<tt:Data> → { Name: Value, ... }
+function simpleItems(xml, section) {
+  const out = {};
+  const block = allBlocks(xml, section)[0];
+  if (!block) return out;
+  const items = block.match(new RegExp(`<${P}SimpleItem\\b[^>]*>`, 'g')) || [];
+  for (const it of items) {
+    const name = attr(it, 'Name');
+    if (name) out[name] = attr(it, 'Value');
+  }
+  return out;
+}
+
+// "tns1:RuleEngine/CellMotionDetector/Motion" → "RuleEngine/CellMotionDetector/Motion"
+function stripTopicPrefix(topic) {
+  if (!topic) return topic;
+  return topic.split('/').map(seg => seg.replace(/^[\w.-]+:/, '')).join('/');
+}
+
+/**
+ * Decode every NotificationMessage of a wsnt:Notify or tev:PullMessagesResponse.
+ * Returns one flat record per message:
+ *   { topic, topicRaw, utcTime, propertyOperation, source, key, data, subscription, producer }
+ */
+function parseNotifications(xml) {
+  if (!xml || typeof xml !== 'string') return [];
+  const records = [];
+  for (const nm of allBlocks(xml, 'NotificationMessage')) {
+    const topicRaw = firstText(nm, 'Topic');
+    const subBlock = allBlocks(nm, 'SubscriptionReference')[0] || '';
+    const prodBlock = allBlocks(nm, 'ProducerReference')[0] || '';
+    const msgTag = (new RegExp(`<${P}Message\\b[^>]*\\bUtcTime\\s*=[^>]*>`).exec(nm) || [])[0] || '';
+    records.push({
+      topic: stripTopicPrefix(topicRaw),
+      topicRaw: topicRaw,
+      utcTime: attr(msgTag, 'UtcTime'),
+      propertyOperation: attr(msgTag, 'PropertyOperation'),
+      source: simpleItems(nm, 'Source'),
+      key: simpleItems(nm, 'Key'),
+      data: simpleItems(nm, 'Data'),
+      subscription: firstText(subBlock, 'Address'),
+      producer: firstText(prodBlock, 'Address')
+    });
+  }
+  return records;
+}
+
+module.exports = { parseNotifications, stripTopicPrefix, decodeXmlEntities };
@@ -0,0 +1,342 @@
+/**
+ * onvif_control_server
+ * Resident HTTP/JSON API for onvif_control.js (--action=serve).
+ *
+ * One session per camera keeps the discovered service endpoints, a keep-alive
+ * connection pool and the wakeup state between requests, so a button press is a
+ * single SOAP round trip instead of node start + discovery (+ 3 s wakeup).
+ *
+ *   GET    /health                              → { ok, version, cameras }
+ *   GET    /cameras                             → inventory (passwords masked)
+ *   GET    /cameras/:name/services              → discovered XAddrs
+ *   GET    /cameras/:name/presets               → [{ token, name, pan, tilt, zoom }]
+ *   POST   /cameras/:name/presets               { name }            → SetPreset → { token }
+ *   DELETE /cameras/:name/presets/:preset       [by]                → RemovePreset
+ *   GET    /cameras/:name/presets/export                            → { exportedAt, device, profile, presets }
+ *   POST   /cameras/:name/presets/import        { presets, overwrite, dry_run, wait_timeout } → AbsoluteMove + SetPreset each
+ *   POST   /cameras/:name/goto/:preset      [by, confirm, wait, speed] → GotoPreset (confirm: destructive vendor codes)
+ *     by=name: :preset is a preset name (case-insensitive, typos tolerated; 400 with the candidates otherwise)
+ *   POST   /cameras/:name/feature               { name, state, value, confirm } → vendor special preset sequence
+ *   POST   /cameras/:name/home                  [wait]              → GotoHomePosition
+ *   GET    /cameras/:name/status                                    → { pan, tilt, zoom, moveStatus, … }
+ *   POST   /cameras/:name/ptz/move              { pan, tilt, time } → ContinuousMove (+ Stop after time s)
+ *   POST   /cameras/:name/ptz/zoom              { zoom, time }
+ *   POST   /cameras/:name/ptz/stop
+ *   POST   /cameras/:name/ptz/absolute          { pan, tilt, zoom, wait, speed, units }
+ *   POST   /cameras/:name/ptz/relative          { pan, tilt, zoom, wait, speed, units }
+ *     units: generic (-1…1) | degrees; clamp=0: no clamping to the camera's ranges, values outside -1…1 are rejected (all moves)
+ *     wait: answer when the move has finished → { pan, tilt, zoom, moveStatus, waitedMs } (wait_timeout s)
+ *   GET    /cameras/:name/profiles              [summary=1]         → GetProfiles (summary: one entry per profile)
+ *   GET    /cameras/:name/device_information
+ *   GET    /cameras/:name/video_encoder_configurations | video_encoder_options
+ *   GET    /cameras/:name/snapshot_uri | stream_uri   [protocol]    → { uri }
+ *   GET    /cameras/:name/imaging | imaging/options  [source]
+ *   POST   /cameras/:name/imaging               { irCutFilter, brightness, … } → SetImagingSettings (only those)
+ *   POST   /cameras/:name/focus/move            { speed | position | distance }
+ *   POST   /cameras/:name/focus/stop
+ *   GET    /cameras/:name/focus/status
+ *
+ * Each session is an OnvifCamera (onvif_control_camera.js) with keep-alive and wakeupIdleMs.
+ * Parameters come from the JSON body and/or the query string; "token" overrides the
+ * camera's profile token. Errors: { error } with 400 (input), 401, 404, 502 (camera; plus
+ * category / code / subcode / reason / hint for SOAP Faults).
+ */
+'use strict';
+
+const http = require('http');
+const { URL } = require('url');
+const { OnvifCamera, OnvifArgumentError, OnvifFaultError } = require('./onvif_control_camera');
+const { readSecret } = require('./onvif_control_config');
+
+const MAX_BODY_BYTES = 64 * 1024;
+
+function httpError(status, message) {
+  const e = new Error(message);
+  e.status = status;
+  return e;
+}
+
+// Library errors → HTTP: bad input 400, everything the camera did (or did not) answer 502
+function statusFor(e) {
+  if (e.status) return e.status;
+  if (e instanceof OnvifArgumentError) return 400;
+  if (e.name && e.name.startsWith('Onvif')) return 502;
+  return 500;
+}
+
+function num(input, key, required = true) {
+  if (input[key] === undefined || input[key] === '') {
+    if (required) throw httpError(400, `missing "${key}"`);
+    return undefined;
+  }
+  const n = Number(input[key]);
+  if (!Number.isFinite(n)) throw httpError(400, `"${key}" must be a number`);
+  return n;
+}
+
+// Flags: true in the JSON body or 1/true/yes in the query string
+const isTrue = v => v === true || /^(1|true|yes)$/i.test(String(v || ''));
+const confirmed = input => isTrue(input.confirm);
+
+// wait=1: answer when the move has finished, with the final position (wait_timeout s, default 30)
+async function withWait(s, input, token, send) {
+  if (!isTrue(input.wait)) return send();
+  const timeout = num(input, 'wait_timeout', false);
+  await send();
+  const st = await s.camera.waitForIdle({ timeoutMs: timeout === undefined ? undefined : timeout * 1000, token });
+  return { pan: st.pan, tilt: st.tilt, zoom: st.zoom, moveStatus: st.moveStatus, waitedMs: st.waitedMs };
+}
+
+// speed (0…1), units (generic | degrees), clamp (default on: out-of-range values are set to the camera's limits)
+function moveOpts(input) {
+  return { speed: num(input, 'speed', false), units: input.units || 'generic', clamp: input.clamp === undefined || isTrue(input.clamp) };
+}
+
+// :preset is a token, or with by=name a preset name looked up in GetPresets
+async function presetParam(s, input, token, preset) {
+  if (input.by === undefined || input.by === 'token') return preset;
+  if (input.by !== 'name') throw httpError(400, '"by" must be token or name');
+  return (await s.camera.findPresetByName(preset, token)).token;
+}
+
+// Same wakeup modes as --wakeup / --wakeup_simple; repeated when PTZ was idle for wakeupIdleMs
+function createSession(cam, opts) {
+  const camera = new OnvifCamera({
+    host: cam.host, port: cam.port, user: cam.user, pass: cam.pass, token: cam.token, auth: cam.auth,
+    quirks: cam.quirks, vendor: cam.vendor, wakeup: cam.wakeup, wakeupIdleMs: opts.wakeupIdleMs, keepAlive: true,
+    log: (level, msg) => { if (level !== 'debug' || opts.verbose) console.error(`[serve] ${cam.name}: ${msg}`); }
+  });
+  if (opts.debug) {
+    camera.on('request', ({ action, body }) => console.error(`[serve] ${cam.name} REQUEST ${action}:\n${body}\n`));
+    camera.on('response', ({ action, xml }) => console.error(`[serve] ${cam.name} RESPONSE ${action}:\n${xml}\n`));
+  }
+  let stopTimer = null;
+
+  // A new move/stop replaces the pending auto-stop of the previous move
+  function cancelStop() {
+    if (stopTimer) { clearTimeout(stopTimer); stopTimer = null; }
+  }
+
+  function scheduleStop(token, ms, panTilt, zoom) {
+    stopTimer = setTimeout(() => {
+      stopTimer = null;
+      camera.stop({ panTilt, zoom }, token)
+        .catch(e => console.error(`[serve] ${cam.name}: auto-stop failed: ${e.message}`));
+    }, ms);
+  }
+
+  return { cam, camera, cancelStop, scheduleStop, close: () => { cancelStop(); camera.close(); } };
+}
+
+const ROUTES = [
+  ['GET', /^\/cameras\/([^/]+)\/services$/, (s) => s.camera.getServices()],
+  ['GET', /^\/cameras\/([^/]+)\/presets$/, (s, input, token) => s.camera.getPresets(token)],
+  ['POST', /^\/cameras\/([^/]+)\/presets$/, async (s, input, token) => {
+    if (!input.name) throw httpError(400, 'missing "name"');
+    return { token: await s.camera.setPreset(input.name, token) };
+  }],
+  ['GET', /^\/cameras\/([^/]+)\/presets\/export$/, (s, input, token) => s.camera.exportPresets(token)],
+  ['POST', /^\/cameras\/([^/]+)\/presets\/import$/, (s, input, token) => {
+    const timeout = num(input, 'wait_timeout', false);
+    s.cancelStop();
+    return s.camera.importPresets(input, {
+      overwrite: isTrue(input.overwrite), dryRun: isTrue(input.dry_run),
+      waitTimeoutMs: timeout === undefined ? undefined : timeout * 1000, token
+    });
+  }],
+  ['DELETE', /^\/cameras\/([^/]+)\/presets\/([^/]+)$/, async (s, input, token, preset) => {
+    return s.camera.removePreset(await presetParam(s, input, token, preset), token);
+  }],
+  ['POST', /^\/cameras\/([^/]+)\/goto\/([^/]+)$/, async (s, input, token, preset) => {
+    preset = await presetParam(s, input, token, preset);
+    s.cancelStop();
+    const { speed, clamp } = moveOpts(input);
+    return withWait(s, input, token, () => s.camera.gotoPreset(preset, token, { speed, clamp, confirm: confirmed(input) }));
+  }],
+  ['POST', /^\/cameras\/([^/]+)\/home$/, (s, input, token) => {
+    s.cancelStop();
+    return withWait(s, input, token, () => s.camera.gotoHomePosition(token));
+  }],
+  ['GET', /^\/cameras\/([^/]+)\/status$/, (s, input, token) => s.camera.getStatus(token)],
+  // time: seconds until the automatic Stop (default 1, 0 = keep moving until /ptz/stop)
+  ['POST', /^\/cameras\/([^/]+)\/ptz\/move$/, async (s, input, token) => {
+    const pan = num(input, 'pan'), tilt = num(input, 'tilt');
+    const time = num(input, 'time', false);
+    s.cancelStop();
+    await s.camera.continuousMove({ pan, tilt }, token, { clamp: moveOpts(input).clamp });
+    const ms = (time === undefined ? 1 : time) * 1000;
+    if (ms > 0) s.scheduleStop(token, ms, true, false);
+    return { ok: true, stopInMs: ms > 0 ? ms : null };
+  }],
+  ['POST', /^\/cameras\/([^/]+)\/ptz\/zoom$/, async (s, input, token) => {
+    const zoom = num(input, 'zoom');
+    const time = num(input, 'time', false);
+    s.cancelStop();
+    await s.camera.continuousMove({ zoom }, token, { clamp: moveOpts(input).clamp });
+    const ms = (time === undefined ? 1 : time) * 1000;
+    if (ms > 0) s.scheduleStop(token, ms, false, true);
+    return { ok: true, stopInMs: ms > 0 ? ms : null };
+  }],
+  ['POST', /^\/cameras\/([^/]+)\/ptz\/stop$/, (s, input, token) => {
+    s.cancelStop();
+    return s.camera.stop({ panTilt: true, zoom: true }, token);
+  }],
+  ['POST', /^\/cameras\/([^/]+)\/ptz\/absolute$/, (s, input, token) => {
+    const pan = num(input, 'pan'), tilt = num(input, 'tilt'), zoom = num(input, 'zoom', false);
+    s.cancelStop();
+    const opts = moveOpts(input);
+    return withWait(s, input, token, () => s.camera.absoluteMove({ pan, tilt, zoom }, token, opts));
+  }],
+  ['POST', /^\/cameras\/([^/]+)\/ptz\/relative$/, (s, input, token) => {
+    const pan = num(input, 'pan'), tilt = num(input, 'tilt'), zoom = num(input, 'zoom', false);
+    s.cancelStop();
+    const opts = moveOpts(input);
+    return withWait(s, input, token, () => s.camera.relativeMove({ pan, tilt, zoom }, token, opts));
+  }],
+  ['POST', /^\/cameras\/([^/]+)\/feature$/, (s, input) => {
+    if (!input.name) throw httpError(400, 'missing "name"');
+    return s.camera.feature(input.name, input.state || undefined, {
+      value: input.value, confirm: confirmed(input)
+    });
+  }],
+  ['GET', /^\/cameras\/([^/]+)\/profiles$/, (s, input) => (/^(1|true|yes)$/i.test(input.summary || '')
+    ? s.camera.getProfileSummary({ protocol: input.protocol || undefined })
+    : s.camera.getProfiles())],
+  ['GET', /^\/cameras\/([^/]+)\/device_information$/, (s) => s.camera.getDeviceInformation()],
+  ['GET', /^\/cameras\/([^/]+)\/snapshot_uri$/, async (s, input, token) => ({ uri: await s.camera.getSnapshotUri(token) })],
+  ['GET', /^\/cameras\/([^/]+)\/stream_uri$/, async (s, input, token) => ({ uri: await s.camera.getStreamUri(token, input.protocol || undefined) })],
+  ['GET', /^\/cameras\/([^/]+)\/video_encoder_configurations$/, (s, input, token) => s.camera.getVideoEncoderConfigurations({ profileToken: token })],
+  ['GET', /^\/cameras\/([^/]+)\/imaging$/, (s, input) => s.camera.getImagingSettings(input.source || undefined)],
+  ['GET', /^\/cameras\/([^/]+)\/imaging\/options$/, (s, input) => s.camera.getImagingOptions(input.source || undefined)],
+  ['POST', /^\/cameras\/([^/]+)\/imaging$/, (s, input) => {
+    const { token, source, dryRun, ...changes } = input;
+    return s.camera.setImagingSettings(changes, { source: source || undefined, dryRun: !!dryRun });
+  }],
+  ['POST', /^\/cameras\/([^/]+)\/focus\/move$/, (s, input) => s.camera.focusMove(input, input.source || undefined)],
+  ['POST', /^\/cameras\/([^/]+)\/focus\/stop$/, (s, input) => s.camera.focusStop(input.source || undefined)],
+  ['GET', /^\/cameras\/([^/]+)\/focus\/status$/, (s, input) => s.camera.getFocusStatus(input.source || undefined)],
+  ['GET', /^\/cameras\/([^/]+)\/video_encoder_options$/, (s, input, token) => s.camera.getVideoEncoderConfigurationOptions({ profileToken: token, configurationToken: input.configuration || undefined })]
+];
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', c => {
+      size += c.length;
+      if (size > MAX_BODY_BYTES) { reject(httpError(413, 'request body too large')); req.destroy(); return; }
+      chunks.push(c);
+    });
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8').trim();
+      if (!text) return resolve({});
+      try {
+        const obj = JSON.parse(text);
+        if (!obj || typeof obj !== 'object' || Array.isArray(obj)) throw new Error('not an object');
+        resolve(obj);
+      } catch (e) {
+        reject(httpError(400, `invalid JSON body: ${e.message}`));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * opts: { cameras: { <name>: camera }, listen: 'host:port', apiToken, wakeupIdleMs, verbose, debug, version }
+ * cameras are inventory entries (onvif_control_config); pass_env / pass_file are resolved on first use.
+ */
+function startServer(opts) {
+  const sessions = new Map();
+  const [host, portStr] = String(opts.listen || '127.0.0.1:8787').split(/:(?=\d+$)/);
+  const port = parseInt(portStr || '8787', 10);
+
+  function session(name) {
+    if (sessions.has(name)) return sessions.get(name);
+    const entry = opts.cameras[name];
+    if (!entry) throw httpError(404, `unknown camera "${name}"`);
+    let cam;
+    try {
+      cam = Object.assign({}, entry, { pass: readSecret('pass', entry) });
+    } catch (e) {
+      throw httpError(500, `camera "${name}": ${e.message}`);
+    }
+    const s = createSession(cam, opts);
+    sessions.set(name, s);
+    return s;
+  }
+
+  async function handle(req) {
+    const u = new URL(req.url, 'http://localhost');
+    const pathname = u.pathname.replace(/\/+$/, '') || '/';
+
+    if (opts.apiToken && req.headers.authorization !== `Bearer ${opts.apiToken}`) throw httpError(401, 'missing or wrong bearer token');
+
+    if (req.method === 'GET' && pathname === '/health') {
+      return { ok: true, version: opts.version, cameras: Object.keys(opts.cameras) };
+    }
+    if (req.method === 'GET' && pathname === '/cameras') {
+      return Object.values(opts.cameras).map(c => Object.assign({}, c, { pass: c.pass ? '***' : undefined }));
+    }
+
+    let pathMatched = false;
+    for (const [method, re, fn] of ROUTES) {
+      const m = re.exec(pathname);
+      if (!m) continue;
+      pathMatched = true;
+      if (method !== req.method) continue;
+      const params = m.slice(1).map(p => {
+        try {
+          return decodeURIComponent(p);
+        } catch (e) {
+          throw httpError(400, `malformed escape in path segment "${p}"`);
+        }
+      });
+      const input = Object.assign(Object.fromEntries(u.searchParams), await readJsonBody(req));
+      const s = session(params[0]);
+      const token = input.token || undefined;
+      return fn(s, input, token, ...params.slice(1));
+    }
+    throw httpError(pathMatched ? 405 : 404, pathMatched ? `method ${req.method} not allowed` : `no route for ${pathname}`);
+  }
+
+  const server = http.createServer((req, res) => {
+    const started = Date.now();
+    const send = (status, obj) => {
+      const json = JSON.stringify(obj);
+      res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Content-Length': Buffer.byteLength(json) });
+      res.end(json);
+      if (opts.verbose || status >= 500) console.error(`[serve] ${req.method} ${req.url} → ${status} (${Date.now() - started} ms)`);
+    };
+    handle(req)
+      // PTZ commands resolve an empty response element
+      .then(result => send(200, result === undefined || result === null || result === '' ? { ok: true } : result))
+      .catch(e => {
+        const body = { error: e.message };
+        if (e instanceof OnvifFaultError) {
+          Object.assign(body, { category: e.category, code: e.code || null, subcode: e.subcode || null, reason: e.reason || null, hint: e.hint || null });
+        }
+        send(statusFor(e), body);
+      });
+  });
+
+  const shutdown = () => {
+    if (opts.verbose) console.error('[serve] shutting down');
+    for (const s of sessions.values()) s.close();
+    server.close(() => process.exit(0));
+    setTimeout(() => process.exit(0), 2000).unref();
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+
+  server.on('error', e => {
+    console.error(`ERROR: serve on ${host}:${port}: ${e.message}`);
+    process.exit(1);
+  });
+  server.listen(port, host, () => {
+    console.error(`[serve] listening on http://${host}:${port} (${Object.keys(opts.cameras).length} camera(s))`);
+  });
+  return server;
+}
+
+module.exports = { startServer };
@@ -0,0 +1,393 @@
+/**
+ * onvif_control_soap
+ * Per-camera SOAP transport: WS-Security UsernameToken header and/or HTTP Digest / Basic auth,
+ * service discovery (GetCapabilities + GetServices for Media2 / Imaging, cached per client) and HTTP POST.
+ * Also plain authenticated GETs on camera URLs (snapshot JPEGs).
+ *
+ * Used by:
+ * - onvif_control_camera.js  (OnvifCamera; keep-alive when used by serve)
+ *
+ *   const soap = createSoapClient({ host: '172.20.1.191', port: 8080, user: 'admin', pass: '…' });
+ *   const xml = await soap.call('PTZ', 'GetPresets', '<tptz:GetPresets …/>');
+ */
+'use strict';
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { URL } = require('url');
+
+// Timeout in milliseconds for SOAP requests
+const SOCKET_TIMEOUT_MS = 5000;
+
+// --auth modes: WS-Security header in the envelope and/or HTTP auth on the POST ('auto' starts as wsse)
+const AUTH_MODES = {
+  wsse:   { wsse: true,  http: null },
+  digest: { wsse: false, http: 'digest' },
+  basic:  { wsse: false, http: 'basic' },
+  both:   { wsse: true,  http: 'digest' },
+  auto:   { wsse: true,  http: null }
+};
+
+function authName(mode) {
+  if (!mode.http) return 'wsse';
+  if (mode.http === 'digest') return mode.wsse ? 'both' : 'digest';
+  return mode.wsse ? 'basic+wsse' : 'basic';
+}
+
+function nsForService(svc, isV2 = false) {
+  switch (svc) {
+    case 'DEVICE': return 'http://www.onvif.org/ver10/device/wsdl';
+    case 'MEDIA2': return 'http://www.onvif.org/ver20/media/wsdl';
+    case 'MEDIA':
+    case 'MEDIA1': return isV2 ? 'http://www.onvif.org/ver20/media/wsdl' : 'http://www.onvif.org/ver10/media/wsdl';
+    case 'PTZ':    return 'http://www.onvif.org/ver20/ptz/wsdl';
+    case 'EVENTS': return 'http://www.onvif.org/ver10/events/wsdl';
+    case 'IMAGING': return 'http://www.onvif.org/ver20/imaging/wsdl';
+    default:       return 'http://www.onvif.org/ver20/ptz/wsdl';
+  }
+}
+
+// Text / attribute content for the SOAP templates
+function escapeXml(v) {
+  return String(v)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// WWW-Authenticate → { scheme: 'digest'|'basic', realm, nonce, qop, opaque, algorithm } (Digest preferred)
+function parseChallenge(header) {
+  const list = [].concat(header || []);
+  const digest = list.find(h => /^\s*Digest\s/i.test(h));
+  if (digest) {
+    const params = {};
+    const re = /(\w+)=(?:"([^"]*)"|([^\s,]+))/g;
+    let m;
+    while ((m = re.exec(digest))) params[m[1].toLowerCase()] = m[2] !== undefined ? m[2] : m[3];
+    return Object.assign({ scheme: 'digest' }, params);
+  }
+  if (list.some(h => /^\s*Basic\b/i.test(h))) return { scheme: 'basic' };
+  return null;
+}
+
+// RFC 7616 response for one request (MD5, MD5-sess, SHA-256; qop=auth or none)
+function digestAuthorization(ch, user, pass, method, uri, nc) {
+  const alg = String(ch.algorithm || 'MD5').toUpperCase();
+  const hash = s => crypto.createHash(alg.startsWith('SHA-256') ? 'sha256' : 'md5').update(s).digest('hex');
+  const cnonce = crypto.randomBytes(8).toString('hex');
+  let ha1 = hash(`${user}:${ch.realm}:${pass}`);
+  if (alg.endsWith('-SESS')) ha1 = hash(`${ha1}:${ch.nonce}:${cnonce}`);
+  const ha2 = hash(`${method}:${uri}`);
+  const qop = ch.qop ? (ch.qop.split(',').map(q => q.trim()).includes('auth') ? 'auth' : null) : null;
+  const ncHex = nc.toString(16).padStart(8, '0');
+  const response = qop ? hash(`${ha1}:${ch.nonce}:${ncHex}:${cnonce}:${qop}:${ha2}`) : hash(`${ha1}:${ch.nonce}:${ha2}`);
+  let h = `Digest username="${user}", realm="${ch.realm}", nonce="${ch.nonce}", uri="${uri}", response="${response}"`;
+  if (ch.algorithm) h += `, algorithm=${ch.algorithm}`;
+  if (ch.opaque) h += `, opaque="${ch.opaque}"`;
+  if (qop) h += `, qop=${qop}, nc=${ncHex}, cnonce="${cnonce}"`;
+  return h;
+}
+
+// offsetMs: camera clock minus local clock – Created must be in camera time
+function buildWSSecurity(username, password, offsetMs = 0) {
+  const nonce = crypto.randomBytes(16);
+  const created = new Date(Date.now() + offsetMs).toISOString();
+  const digest = crypto.createHash('sha1')
+    .update(Buffer.concat([nonce, Buffer.from(created), Buffer.from(password || '')]))
+    .digest('base64');
+  return {
+    Username: username || '',
+    PasswordDigest: digest,
+    Nonce: nonce.toString('base64'),
+    Created: created
+  };
+}
+
+/**
+ * opts: { host, port, user, pass, quirks, keepAlive, timeOffsetMs, auth (AUTH_MODES key, default wsse), onAuth(name) }
+ * auth 'auto' answers a 401 challenge with HTTP Digest/Basic (first keeping, then dropping the WS-Security header)
+ * and keeps what worked; onAuth is called with the resulting mode name.
+ * keepAlive reuses TCP connections between calls (serve); the CLI does one run and exits.
+ * timeOffsetMs: camera clock minus local clock, applied to the WS-Security Created timestamp.
+ */
+function createSoapClient(opts) {
+  const baseUrl = `http://${opts.host}${opts.port ? ':' + opts.port : ''}`;
+  const quirks = opts.quirks || {};
+  const agents = opts.keepAlive
+    ? { http: new http.Agent({ keepAlive: true, maxSockets: 4 }), https: new https.Agent({ keepAlive: true, maxSockets: 4 }) }
+    : null;
+  // Discovered service endpoints (filled by GetCapabilities / GetServices)
+  const discovery = { media1: null, media2: null, ptz: null, events: null, imaging: null };
+  let discovering = null;
+  let timeOffsetMs = Number(opts.timeOffsetMs) || 0;
+  const authMode = opts.auth || 'wsse';
+  if (!AUTH_MODES[authMode]) throw new Error(`auth must be one of ${Object.keys(AUTH_MODES).join(', ')} (got "${opts.auth}")`);
+  let mode = Object.assign({}, AUTH_MODES[authMode]);
+  // last Digest challenge: later requests answer it right away (nc counts up) instead of collecting a 401 first
+  let challenge = null;
+  let nonceCount = 0;
+  // same for GETs (the web server behind the snapshot URI usually has its own realm)
+  let getChallenge = null;
+  let getNonceCount = 0;
+
+  // extraHeaders: optional raw header elements (e.g. WS-Addressing Action/To for PullMessages)
+  function wsseHeader(extraHeaders = '') {
+    if (!(opts.user && opts.pass) || !mode.wsse) return extraHeaders ? '<s:Header>' + extraHeaders + '</s:Header>' : '';
+    const ws = buildWSSecurity(opts.user, opts.pass, timeOffsetMs);
+    var s = '';
+    s += '<s:Header>';
+    s += extraHeaders;
+    s += '<wsse:Security s:mustUnderstand="1"';
+    s += ' xmlns:wsse="http://docs.oasis-open.org/wss/2004/01/oasis-200401-wss-wssecurity-secext-1.0.xsd"';
+    s += ' xmlns:wsu="http://docs.oasis-open.org/wss/2004/01/oasis-200401-wss-wssecurity-utility-1.0.xsd">';
+    s += '<wsse:UsernameToken>';
+    s += '<wsse:Username>' + escapeXml(opts.user) + '</wsse:Username>';
+    s += '<wsse:Password Type="http://docs.oasis-open.org/wss/2004/01/oasis-200401-wss-username-token-profile-1.0#PasswordDigest">' + ws.PasswordDigest + '</wsse:Password>';
+    s += '<wsse:Nonce EncodingType="http://docs.oasis-open.org/wss/2004/01/oasis-200401-wss-soap-message-security-1.0#Base64Binary">' + ws.Nonce + '</wsse:Nonce>';
+    s += '<wsu:Created>' + ws.Created + '</wsu:Created>';
+    s += '</wsse:UsernameToken>';
+    s += '</wsse:Security>';
+    s += '</s:Header>';
+    return s;
+  }
+
+  function serviceDefaultPath(svc) {
+    switch (svc) {
+      case 'DEVICE': return `${baseUrl}/onvif/device_service`;
+      case 'MEDIA1':
+      case 'MEDIA2':
+      case 'MEDIA':  return `${baseUrl}/onvif/media_service`;
+      case 'PTZ':    return `${baseUrl}/onvif/ptz_service`;
+      case 'EVENTS': return `${baseUrl}/onvif/event_service`;
+      case 'IMAGING': return `${baseUrl}/onvif/imaging_service`;
+      default:       return `${baseUrl}/onvif/ptz_service`;
+    }
+  }
+
+  function serviceUrl(svc) {
+    if (svc === 'MEDIA2' && discovery.media2) return discovery.media2;
+    if (svc === 'MEDIA1' && discovery.media1) return discovery.media1;
+    if (svc === 'MEDIA')  return discovery.media2 || discovery.media1 || serviceDefaultPath('MEDIA');
+    if (svc === 'PTZ' && discovery.ptz) return discovery.ptz;
+    if (svc === 'EVENTS' && discovery.events) return discovery.events;
+    if (svc === 'IMAGING' && discovery.imaging) return discovery.imaging;
+    if (svc === 'DEVICE') return serviceDefaultPath('DEVICE');
+    return serviceDefaultPath(svc);
+  }
+
+  function parseUrl(u) {
+    try { return new URL(u); } catch { return new URL(serviceDefaultPath('PTZ')); }
+  }
+
+  function httpAuthorization(u, http) {
+    if (!opts.user || !http) return null;
+    if (http === 'basic') return 'Basic ' + Buffer.from(`${opts.user}:${opts.pass || ''}`).toString('base64');
+    if (!challenge) return null;
+    return digestAuthorization(challenge, opts.user, opts.pass || '', 'POST', u.pathname + (u.search || ''), ++nonceCount);
+  }
+
+  // One HTTP request; resolves { statusCode, headers, body (Buffer) } for any HTTP status
+  function requestOnce(u, method, payload, headers, timeoutMs) {
+    return new Promise((resolve, reject) => {
+      const isHttps = u.protocol === 'https:';
+      const lib = isHttps ? https : http;
+      const req = lib.request({
+        hostname: u.hostname,
+        port: u.port || (isHttps ? 443 : 80),
+        path: u.pathname + (u.search || ''),
+        method,
+        headers,
+        timeout: timeoutMs || SOCKET_TIMEOUT_MS,
+        agent: agents ? agents[isHttps ? 'https' : 'http'] : undefined,
+        rejectUnauthorized: false
+      }, (res) => {
+        const chunks = [];
+        res.on('data', (d) => chunks.push(d));
+        res.on('end', () => resolve({ statusCode: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+      });
+      req.on('timeout', () => { req.destroy(); reject(new Error(`Timeout calling ${u.href}`)); });
+      req.on('error', reject);
+      if (payload) req.write(payload);
+      req.end();
+    });
+  }
+
+  async function postOnce(u, xml, postOpts, authorization) {
+    const headers = {
+      'Content-Type': 'application/soap+xml; charset=utf-8' + (postOpts.action ? `; action="${postOpts.action}"` : ''),
+      'Content-Length': Buffer.byteLength(xml, 'utf8')
+    };
+    if (authorization) headers.Authorization = authorization;
+    const resp = await requestOnce(u, 'POST', xml, headers, postOpts.timeoutMs);
+    return Object.assign(resp, { body: resp.body.toString('utf8') });
+  }
+
+  // POST an envelope; resolves { statusCode, headers, body } for any HTTP status.
+  // postOpts: { action (goes into the Content-Type), timeoutMs }
+  // A 401 with a challenge is answered once (Digest/Basic per mode; in auto mode the fallbacks are tried).
+  async function post(targetUrl, xml, postOpts = {}) {
+    const u = parseUrl(targetUrl);
+    let resp = await postOnce(u, xml, postOpts, httpAuthorization(u, mode.http));
+    if (resp.statusCode !== 401 || !opts.user) return resp;
+    const ch = parseChallenge(resp.headers['www-authenticate']);
+    if (!ch) return resp;
+    if (ch.scheme === 'digest') { challenge = ch; nonceCount = 0; }
+
+    if (authMode !== 'auto') {
+      // stale nonce (or the first challenge of this client): answer it once
+      if (mode.http === 'digest' && ch.scheme === 'digest') resp = await postOnce(u, xml, postOpts, httpAuthorization(u, 'digest'));
+      return resp;
+    }
+
+    // auto: HTTP auth with the envelope as is, then without the WS-Security header
+    const stripped = xml.replace(/<wsse:Security[\s\S]*?<\/wsse:Security>/, '');
+    const attempts = [{ wsse: mode.wsse, http: ch.scheme }];
+    if (mode.wsse && stripped !== xml) attempts.push({ wsse: false, http: ch.scheme });
+    for (const a of attempts) {
+      resp = await postOnce(u, a.wsse ? xml : stripped, postOpts, httpAuthorization(u, a.http));
+      if (resp.statusCode !== 401) {
+        const changed = a.wsse !== mode.wsse || a.http !== mode.http;
+        mode = a;
+        if (changed && opts.onAuth) opts.onAuth(authName(mode));
+        break;
+      }
+    }
+    return resp;
+  }
+
+  // GET a camera URL (snapshot JPEG); resolves { statusCode, headers, body (Buffer) } for any HTTP status.
+  // Credentials in the URL (http://user:pass@…) win over the client's. WS-Security does not apply here:
+  // Basic is sent right away in basic mode, otherwise a 401 challenge is answered once (Digest preferred).
+  async function get(targetUrl, getOpts = {}) {
+    const u = new URL(targetUrl);
+    const user = u.username ? decodeURIComponent(u.username) : opts.user;
+    const pass = u.username ? decodeURIComponent(u.password) : (opts.pass || '');
+    u.username = u.password = '';
+    const path = u.pathname + (u.search || '');
+    const basic = () => 'Basic ' + Buffer.from(`${user}:${pass}`).toString('base64');
+    const digest = () => digestAuthorization(getChallenge, user, pass, 'GET', path, ++getNonceCount);
+    const headers = { Accept: getOpts.accept || '*/*' };
+    if (user && mode.http === 'basic') headers.Authorization = basic();
+    else if (user && getChallenge && getChallenge.host === u.host) headers.Authorization = digest();
+    let resp = await requestOnce(u, 'GET', null, headers, getOpts.timeoutMs);
+    if (resp.statusCode !== 401 || !user) return resp;
+    const ch = parseChallenge(resp.headers['www-authenticate']);
+    if (!ch) return resp;
+    if (ch.scheme === 'digest') {
+      getChallenge = Object.assign(ch, { host: u.host });
+      getNonceCount = 0;
+    }
+    return requestOnce(u, 'GET', null, Object.assign(headers, { Authorization: ch.scheme === 'digest' ? digest() : basic() }), getOpts.timeoutMs);
+  }
+
+  function envelope(body, extraHeaders) {
+    return `<s:Envelope xmlns:s="http://www.w3.org/2003/05/soap-envelope">
+  ${wsseHeader(extraHeaders)}
+  <s:Body>${body}</s:Body>
+</s:Envelope>`;
+  }
+
+  async function runDiscovery() {
+    // Prefer Device:GetCapabilities to also fetch Events XAddr
+    const url = serviceDefaultPath('DEVICE');
+    const env1 = `
+<s:Envelope xmlns:s="http://www.w3.org/2003/05/soap-envelope" xmlns:tds="http://www.onvif.org/ver10/device/wsdl">
+  ${wsseHeader()}
+  <s:Body>
+    <tds:GetCapabilities>
+      <tds:Category>All</tds:Category>
+    </tds:GetCapabilities>
+  </s:Body>
+</s:Envelope>`.trim();
+
+    const xml = (await post(url, env1, { action: nsForService('DEVICE') + '/GetCapabilities' })).body;
+    // Media & PTZ
+    {
+      const blocks = xml.match(/<tds:Capabilities>[\s\S]*?<\/tds:Capabilities>/g) || [];
+      for (const b of blocks) {
+        const mediaX = ((b.match(/<tt:Media>[\s\S]*?<tt:XAddr>(.*?)<\/tt:XAddr>/) || [])[1] || '').trim();
+        const ptzX   = ((b.match(/<tt:PTZ>[\s\S]*?<tt:XAddr>(.*?)<\/tt:XAddr>/) || [])[1] || '').trim();
+        const eventsX= ((b.match(/<tt:Events>[\s\S]*?<tt:XAddr>(.*?)<\/tt:XAddr>/) || [])[1] || '').trim();
+        const imagingX = ((b.match(/<tt:Imaging>[\s\S]*?<tt:XAddr>(.*?)<\/tt:XAddr>/) || [])[1] || '').trim();
+        if (mediaX) discovery.media1 = mediaX;
+        if (ptzX) discovery.ptz = ptzX;
+        if (eventsX) discovery.events = eventsX;
+        if (imagingX) discovery.imaging = imagingX;
+      }
+    }
+
+    // Device:GetServices: Media2 is only listed there (also the fallback for incomplete capabilities)
+    if (!discovery.media1 || !discovery.ptz || !quirks.no_media2) {
+      const env2 = `
+<s:Envelope xmlns:s="http://www.w3.org/2003/05/soap-envelope" xmlns:tds="http://www.onvif.org/ver10/device/wsdl">
+  ${wsseHeader()}
+  <s:Body>
+    <tds:GetServices>
+      <tds:IncludeCapability>true</tds:IncludeCapability>
+    </tds:GetServices>
+  </s:Body>
+</s:Envelope>`.trim();
+      const resp2 = await post(url, env2, { action: nsForService('DEVICE') + '/GetServices' });
+      const xml2 = resp2.statusCode < 400 ? resp2.body : '';
+      const blocks = xml2.match(/<tds:Service>[\s\S]*?<\/tds:Service>/g) || [];
+      for (const b of blocks) {
+        const ns = ((b.match(/<tds:Namespace>(.*?)<\/tds:Namespace>/) || [])[1] || '').trim();
+        const xa = ((b.match(/<tds:XAddr>(.*?)<\/tds:XAddr>/) || [])[1] || '').trim();
+        if (!ns || !xa) continue;
+        if (ns.includes('/ver20/media/wsdl') && !quirks.no_media2) discovery.media2 = xa;
+        if (ns.includes('/ver10/media/wsdl')) discovery.media1 = xa;
+        if (ns.includes('/ver20/ptz/wsdl'))   discovery.ptz    = xa;
+        if (ns.includes('/ver10/events/wsdl')) discovery.events = xa;
+        if (ns.includes('/ver20/imaging/wsdl')) discovery.imaging = xa;
+      }
+    }
+
+    return discovery;
+  }
+
+  // Cached: runs once per client; concurrent callers share the in-flight discovery
+  function discover() {
+    if (discovery.media1 || discovery.media2 || discovery.ptz || discovery.events || discovery.imaging) return Promise.resolve(discovery);
+    if (!discovering) {
+      discovering = runDiscovery().finally(() => { discovering = null; });
+    }
+    return discovering;
+  }
+
+  // Forget discovered endpoints (e.g. camera rebooted with another firmware / port layout)
+  function resetDiscovery() {
+    discovery.media1 = discovery.media2 = discovery.ptz = discovery.events = discovery.imaging = null;
+  }
+
+  // svc: 'PTZ' | 'DEVICE' | 'MEDIA' (Media2 when available) | 'MEDIA1' | 'MEDIA2' | 'EVENTS' | 'IMAGING'
+  // Resolves { statusCode, body, url, service } (service: the variant actually used)
+  async function call(svc, action, body) {
+    await discover();
+    const service = svc === 'MEDIA' ? (discovery.media2 ? 'MEDIA2' : 'MEDIA1') : svc;
+    const url = serviceUrl(service);
+    const resp = await post(url, envelope(body), { action: `${nsForService(service, service === 'MEDIA2')}/${action}` });
+    return Object.assign(resp, { url, service });
+  }
+
+  function setTimeOffset(ms) {
+    timeOffsetMs = Number(ms) || 0;
+  }
+
+  function getTimeOffset() {
+    return timeOffsetMs;
+  }
+
+  function close() {
+    if (agents) { agents.http.destroy(); agents.https.destroy(); }
+  }
+
+  return {
+    baseUrl, discovery, wsseHeader, envelope, serviceUrl, post, get, discover, resetDiscovery, call,
+    setTimeOffset, getTimeOffset, authName: () => authName(mode), close
+  };
+}
+
+module.exports = { createSoapClient, nsForService, escapeXml, AUTH_MODES, SOCKET_TIMEOUT_MS };
@@ -0,0 +1,175 @@
+/**
+ * onvif_control_tour
+ * Client-side preset tour for cameras without (usable) cruise support: GotoPreset → wait until the
+ * move finished → dwell, stop after stop; rounds or endless loop, optional shuffle, optional hold on motion.
+ *
+ * Used by:
+ * - onvif_control.js  (--action=tour --stops=<preset[:dwell s],…>)
+ *
+ *   const tour = new PresetTour(cam, { stops: [{ preset: 'Door', dwellMs: 5000 }, { preset: '2' }], loop: true });
+ *   tour.on('arrive', ({ preset, position }) => …);
+ *   process.on('SIGINT', () => tour.stop());
+ *   const summary = await tour.run();
+ *
+ * Events: 'goto' { round, index, preset, name }, 'arrive' { …, position }, 'pause' { event }, 'resume',
+ * 'warning' (message). The tour never exits the process; run() rejects with the OnvifCamera errors.
+ */
+'use strict';
+
+const { EventEmitter } = require('events');
+const { OnvifArgumentError, OnvifConnectionError, OnvifFaultError, matchPreset, validate } = require('./onvif_control_camera');
+
+const DEFAULT_DWELL_MS = 10000;
+// Without a new motion event for this long the tour moves on
+const DEFAULT_MOTION_HOLD_MS = 30000;
+// Same topics onvif_control_event_listener.js files under "motion"
+const MOTION_TOPIC = /Motion|LineDetector|LineCross|FieldDetector|Intrusion|Crossed/i;
+
+// Motion topic with a true data item (IsMotion, State, …)
+function isMotionEvent(ev) {
+  if (!ev || !MOTION_TOPIC.test(ev.topic || '')) return false;
+  return Object.values(ev.data || {}).some(v => /^(true|1)$/i.test(String(v)));
+}
+
+function shuffled(list) {
+  const a = list.slice();
+  for (let i = a.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [a[i], a[j]] = [a[j], a[i]];
+  }
+  return a;
+}
+
+class PresetTour extends EventEmitter {
+  /**
+   * opts: { stops: [{ preset (token or name), dwellMs }], dwellMs (default for stops without one, 10 s),
+   *         speed (0…1), loop (true = until stop(), number = rounds, default 1), shuffle,
+   *         waitTimeoutMs (per stop, see OnvifCamera.waitForIdle), pauseOnMotion, motionHoldMs (default 30 s), token }
+   */
+  constructor(camera, opts = {}) {
+    super();
+    this.camera = camera;
+    if (!Array.isArray(opts.stops) || !opts.stops.length) throw new OnvifArgumentError('tour needs at least one stop');
+    const dwellMs = opts.dwellMs === undefined ? DEFAULT_DWELL_MS : validate.inRange(opts.dwellMs, 'dwell (ms)', 0, 86400000);
+    this.stops = opts.stops.map(st => ({
+      preset: String(st.preset),
+      dwellMs: st.dwellMs === undefined ? dwellMs : validate.inRange(st.dwellMs, `dwell of ${st.preset} (ms)`, 0, 86400000)
+    }));
+    this.speed = opts.speed === undefined ? undefined : validate.inRange(opts.speed, 'speed', 0, 1);
+    this.rounds = opts.loop === true ? Infinity : (opts.loop ? validate.integer(opts.loop, 'loop rounds', 1) : 1);
+    this.shuffle = !!opts.shuffle;
+    this.waitTimeoutMs = opts.waitTimeoutMs;
+    this.pauseOnMotion = !!opts.pauseOnMotion;
+    this.motionHoldMs = opts.motionHoldMs === undefined ? DEFAULT_MOTION_HOLD_MS : validate.inRange(opts.motionHoldMs, 'motion hold (ms)', 0, 86400000);
+    this.token = opts.token;
+    this.stopped = false;
+    this._wake = null;
+    this._abort = null;
+    this._motionUntil = 0;
+    this._canWait = true;
+  }
+
+  // Interrupt the tour: the current dwell / hold ends at once, a move in progress is stopped
+  stop() {
+    this.stopped = true;
+    if (this._wake) this._wake();
+    if (this._abort) this._abort.abort();
+  }
+
+  _sleep(ms) {
+    if (this.stopped || ms <= 0) return Promise.resolve();
+    return new Promise(resolve => {
+      const timer = setTimeout(done, ms);
+      function done() { clearTimeout(timer); resolve(); }
+      this._wake = done;
+    }).then(() => { this._wake = null; });
+  }
+
+  // Stops as { preset token, name, dwellMs }; every stop is checked before the first move
+  async _resolveStops() {
+    const presets = await this.camera.getPresets(this.token);
+    return this.stops.map(st => {
+      const p = matchPreset(presets, st.preset);
+      return { preset: p.token, name: p.name, dwellMs: st.dwellMs };
+    });
+  }
+
+  async _subscribeMotion() {
+    const sub = await this.camera.subscribe({ mode: 'pull' });
+    sub.on('event', ev => {
+      if (!isMotionEvent(ev)) return;
+      const wasHolding = Date.now() < this._motionUntil;
+      this._motionUntil = Date.now() + this.motionHoldMs;
+      if (!wasHolding) this.emit('pause', { event: ev });
+    });
+    sub.on('error', e => this.emit('warning', `motion events: ${e.message}`));
+    sub.startPulling().catch(e => this.emit('warning', `motion events stopped: ${e.message}`));
+    return sub;
+  }
+
+  // Hold position until motionHoldMs passed without a new motion event
+  async _holdWhileMotion() {
+    if (Date.now() >= this._motionUntil) return;
+    while (!this.stopped && Date.now() < this._motionUntil) await this._sleep(this._motionUntil - Date.now());
+    if (!this.stopped) this.emit('resume');
+  }
+
+  async _waitArrived() {
+    if (!this._canWait) return null;
+    this._abort = new AbortController();
+    try {
+      return await this.camera.waitForIdle({ timeoutMs: this.waitTimeoutMs, signal: this._abort.signal, token: this.token });
+    } catch (e) {
+      if (e instanceof OnvifFaultError && e.category === 'not_supported') {
+        this._canWait = false;
+        this.emit('warning', `${e.message}; dwell times start right after GotoPreset from now on`);
+        return null;
+      }
+      if (e instanceof OnvifConnectionError && e.ptzStatus) {
+        this.emit('warning', e.message);
+        return e.ptzStatus;
+      }
+      throw e;
+    } finally {
+      this._abort = null;
+    }
+  }
+
+  /**
+   * Resolves { rounds, visited, stopped } when all rounds are done or stop() was called.
+   */
+  async run() {
+    const stops = await this._resolveStops();
+    const sub = this.pauseOnMotion ? await this._subscribeMotion() : null;
+    let visited = 0, round = 0, moving = false;
+    try {
+      while (!this.stopped && round < this.rounds) {
+        round++;
+        const order = this.shuffle ? shuffled(stops) : stops;
+        for (let i = 0; i < order.length && !this.stopped; i++) {
+          await this._holdWhileMotion();
+          if (this.stopped) break;
+          const st = order[i];
+          const info = { round, index: i + 1, preset: st.preset, name: st.name };
+          this.emit('goto', info);
+          moving = true;
+          await this.camera.gotoPreset(st.preset, this.token, { speed: this.speed });
+          const status = await this._waitArrived();
+          if (this.stopped) break;
+          moving = false;
+          visited++;
+          this.emit('arrive', Object.assign({}, info, {
+            position: status ? { pan: status.pan, tilt: status.tilt, zoom: status.zoom } : null
+          }));
+          await this._sleep(st.dwellMs);
+        }
+      }
+    } finally {
+      if (moving) await this.camera.stop({}, this.token).catch(() => {});
+      if (sub) await sub.close({ unsubscribe: true }).catch(() => {});
+    }
+    return { rounds: round, visited, stopped: this.stopped };
+  }
+}
+
+module.exports = { PresetTour, isMotionEvent };
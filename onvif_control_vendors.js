@@ -0,0 +1,184 @@
+/**
+ * onvif_control_vendors
+ * Vendor quirk table: proprietary "special preset" codes (see README_special_presets.md) as named features.
+ *
+ * Used by:
+ * - onvif_control_camera.js  (OnvifCamera.feature / detectVendor)
+ * - onvif_control.js         (--action=feature --name=<feature> --state=<state> [--vendor=<key>] [--confirm])
+ *
+ * A feature state is a sequence of steps, sent one after the other:
+ *   ['call', N]   GotoPreset N   ("CALL N" in the camera manuals)
+ *   ['set', N]    SetPreset N    ("N + SET")
+ * N = 'X' is replaced by the value given with the call (--value), e.g. generic guard_preset: 65 + SET, X + SET.
+ * Features marked destructive (PTZ factory reset …) are only sent with confirm.
+ */
+'use strict';
+
+const VENDORS = {
+  ctronics: {
+    name: 'Ctronics',
+    match: /ctronics/i,
+    features: {
+      alarm_lights: {
+        description: 'Red/blue alarm lights',
+        states: { on: [['call', 37]], off: [['set', 37]], toggle: [['call', 37]] }
+      },
+      cruise: {
+        description: 'Cruise / patrol through the stored presets',
+        states: { on: [['call', 56]], off: [['set', 56]] }
+      },
+      tracking: {
+        description: 'Human tracking; "on" makes the current position the guard point',
+        states: { on: [['call', 92]], off: [['call', 94]] }
+      },
+      guard: {
+        description: 'Guard mode; "set" stores the current position as guard point',
+        states: { on: [['call', 92]], set: [['set', 92]], off: [['call', 91]] }
+      },
+      ir: {
+        description: 'Infrared light',
+        states: { on: [['call', 82]], off: [['call', 83]], auto: [['call', 81]] }
+      },
+      ptz_reset: {
+        description: 'PTZ factory reset – deletes ALL presets',
+        destructive: true,
+        states: { run: [['call', 115]] }
+      }
+    }
+  },
+  sv3c: {
+    name: 'SV3C',
+    match: /sv3c/i,
+    features: {
+      tracking: {
+        description: 'Human tracking; "on" makes the current position the guard point',
+        states: { on: [['call', 67]], off: [['call', 68]] }
+      }
+    }
+  },
+  sunba: {
+    name: 'Sunba',
+    match: /sunba/i,
+    features: {
+      osd: { description: 'On-screen menu', states: { open: [['call', 95]] } }
+    }
+  },
+  hisilicon: {
+    name: 'HiSilicon-based',
+    match: /hisilicon|hi35\d\d/i,
+    features: {
+      osd: { description: 'On-screen menu', states: { open: [['call', 84]] } },
+      light_mode: { description: 'IR / white light (model dependent)', states: { toggle: [['call', 88]] } }
+    }
+  },
+  esunstar: {
+    name: 'ESUNSTAR',
+    match: /esunstar/i,
+    features: {
+      tracking_speed: {
+        description: 'Horizontal tracking speed X (1 slowest … 10 fastest)',
+        value: [1, 10],
+        states: { set: [['set', 150], ['set', 'X']] }
+      }
+    }
+  },
+  // never auto-detected: many OEM cameras understand these, but only --vendor=generic selects them
+  generic: {
+    name: 'Generic',
+    match: null,
+    features: {
+      guard_preset: {
+        description: 'Guard position = preset X',
+        value: [1, 255],
+        states: { set: [['set', 65], ['set', 'X']] }
+      },
+      cruise: {
+        description: 'Cruise through a group of 8 presets (1-8 every ~5 s … 57-64 every ~120 s)',
+        states: {
+          '1-8': [['call', 65]], '9-16': [['call', 66]], '17-24': [['call', 67]], '25-32': [['call', 68]],
+          '33-40': [['call', 69]], '41-48': [['call', 70]], '49-56': [['call', 72]], '57-64': [['call', 73]]
+        }
+      },
+      night_vision: {
+        description: 'ir: IR light on, auto: IR auto, color: color night vision without white light',
+        states: { ir: [['call', 74]], auto: [['call', 75]], color: [['call', 76]] }
+      },
+      gimbal_reset: {
+        description: 'Gimbal self-check (moves to top-left and back)',
+        states: { run: [['call', 77]] }
+      }
+    }
+  }
+};
+
+// Vendor key for GetDeviceInformation ({ manufacturer, model }), or null
+function detectVendor(info) {
+  const s = `${(info && info.manufacturer) || ''} ${(info && info.model) || ''}`;
+  const hit = Object.keys(VENDORS).find(k => VENDORS[k].match && VENDORS[k].match.test(s));
+  return hit || null;
+}
+
+function vendorKey(vendor) {
+  const key = String(vendor).toLowerCase();
+  if (!VENDORS[key]) throw new Error(`unknown vendor "${vendor}" (known: ${Object.keys(VENDORS).join(', ')})`);
+  return key;
+}
+
+// [{ vendor, name, feature, description, states, destructive, value }] – all vendors, or only the given one
+function listFeatures(vendor) {
+  const keys = vendor ? [vendorKey(vendor)] : Object.keys(VENDORS);
+  const out = [];
+  for (const k of keys) {
+    for (const [feature, f] of Object.entries(VENDORS[k].features)) {
+      out.push({
+        vendor: k, name: VENDORS[k].name, feature, description: f.description,
+        states: Object.keys(f.states), destructive: !!f.destructive, value: f.value || null
+      });
+    }
+  }
+  return out;
+}
+
+/**
+ * Steps for vendor / feature / state: { vendor, feature, state, destructive, steps: [{ op: 'call'|'set', preset }] }.
+ * state may be omitted when the feature has only one. Throws Error on unknown names or a missing / bad value.
+ */
+function featureSteps(vendor, feature, state, value) {
+  const key = vendorKey(vendor);
+  const f = VENDORS[key].features[feature];
+  if (!f) {
+    throw new Error(`${VENDORS[key].name} has no feature "${feature}" (known: ${Object.keys(VENDORS[key].features).join(', ')})`);
+  }
+  const states = Object.keys(f.states);
+  if (state === undefined || state === null || state === '') {
+    if (states.length !== 1) throw new Error(`feature ${feature} needs a state: ${states.join(', ')}`);
+    state = states[0];
+  }
+  state = String(state).toLowerCase();
+  if (!f.states[state]) throw new Error(`feature ${feature} has no state "${state}" (known: ${states.join(', ')})`);
+  let x = null;
+  if (f.value) {
+    const [min, max] = f.value;
+    x = Number(value);
+    if (value === undefined || value === null || value === '' || !Number.isInteger(x) || x < min || x > max) {
+      throw new Error(`feature ${feature} needs a value ${min}…${max} (got ${value === undefined ? 'none' : value})`);
+    }
+  }
+  return {
+    vendor: key,
+    feature,
+    state,
+    destructive: !!f.destructive,
+    steps: f.states[state].map(([op, preset]) => ({ op, preset: String(preset === 'X' ? x : preset) }))
+  };
+}
+
+// Is preset a destructive code of this vendor (raw goto, OnvifCamera.gotoPreset)? vendor null: of any vendor
+function isDestructivePreset(vendor, preset) {
+  if (!vendor) return Object.keys(VENDORS).some(v => isDestructivePreset(v, preset));
+  const f = VENDORS[vendorKey(vendor)].features;
+  return Object.values(f).some(x => x.destructive &&
+    Object.values(x.states).some(steps => steps.some(([op, p]) => op === 'call' && String(p) === String(preset))));
+}
+
+module.exports = { VENDORS, detectVendor, listFeatures, featureSteps, isDestructivePreset };